@@ -7,6 +7,21 @@
  * @licence MIT
  */
 export class VikCraft3DAnnotator {
+    /** Measurement tools available in measure mode, keyed by type. */
+    static MEASURE_TYPES = { distance: 'Distance', polyline: 'Polyline', angle: 'Angle', area: 'Area', plane: 'To Plane' };
+    /** Number of picked points each measurement type needs before it can be completed. */
+    static MEASURE_MIN_POINTS = { distance: 2, polyline: 2, angle: 3, area: 3, plane: 2 };
+    /** Identifier and current version of the exportState()/importState() schema. */
+    static STATE_FORMAT = 'vikcraft-3d-annotator-state';
+    static STATE_VERSION = 4;
+    /** Upgrades a state object from the keyed version to the next one. */
+    static STATE_MIGRATIONS = {
+        0: (state) => ({ format: state.format, version: 1, annotations: state.annotations, measurements: [], modelTransform: null, viewMode: 'default', grid: { visible: true }, camera: null }),
+        1: (state) => ({ ...state, version: 2, annotations: Array.isArray(state.annotations) ? state.annotations.map(a => ({ author: 'Anonymous', createdAt: null, status: 'open', replies: [], ...a })) : state.annotations }),
+        2: (state) => ({ ...state, version: 3, sectionPlanes: [] }),
+        3: (state) => ({ ...state, version: 4, annotations: Array.isArray(state.annotations) ? state.annotations.map(a => ({ attachTo: null, mesh: null, animation: null, ...a })) : state.annotations }),
+    };
+
     /**
      * Initializes the entire 3D viewer application inside a given container.
      * @param {string} containerId The ID of the HTML element to host the application.
@@ -21,24 +36,58 @@ export class VikCraft3DAnnotator {
         this.sceneUnitScale = options.sceneUnitScale || 1;
         this.displayUnits = options.displayUnits || 'metric';
         this.showGrid = options.showGrid !== false;
+        this.currentUser = options.currentUser || 'Anonymous';
+        
+        this.enableDragDrop = options.enableDragDrop !== false;
         
         this.onModelLoaded = options.onModelLoaded || null;
+        this.onProgress = options.onProgress || null;
+        this.onError = options.onError || null;
         this.onAnnotationAdded = options.onAnnotationAdded || null;
         this.onAnnotationUpdated = options.onAnnotationUpdated || null;
         this.onAnnotationDeleted = options.onAnnotationDeleted || null;
+        this.onMeasurementAdded = options.onMeasurementAdded || null;
+        this.onMeasurementDeleted = options.onMeasurementDeleted || null;
+        this.onHistoryChanged = options.onHistoryChanged || null;
+        this.onSelectionChanged = options.onSelectionChanged || null;
+        this.historyLimit = options.historyLimit || 100;
+        this.sectionCapColor = options.sectionCapColor || 0xff5533;
+        this.labelClusterDistance = options.labelClusterDistance ?? 40;
         
         // --- State ---
         this.currentMode = 'navigate'; this.viewMode = 'default';
-        this.annotations = []; this.measurements = []; this.measureStartPoint = null;
+        this.annotations = []; this.measurements = [];
+        this.measureType = 'distance'; this.measurePoints = []; this.measurePlaneNormal = null;
         this.gridHelper = null; this.transformControls = null;
         this.liveMeasureVisuals = { line: null, label: null };
-        this.mouse = new this.THREE.Vector2();
+        this.mouse = new this.THREE.Vector2(); this.pointerDownPosition = null; this.addedTabIndex = false;
         this.dblClickTimeout = null;
+        this.editor = null;
+        this.annotationFilter = { status: 'all', author: 'all' };
+        this.undoStack = []; this.redoStack = []; this.historyPaused = false;
+        this.transformDragStart = null;
+        this.sectionPlanes = []; this.clippingPlanes = []; this.selectedSectionId = null; this.sectionPickArmed = false;
+        this.explorerItems = new Map(); this.selectedObject = null;
+        this.animationClips = []; this.mixer = null; this.currentAction = null; this.animationPlaying = false; this.animationSpeed = 1;
+        this.clock = new this.THREE.Clock();
+        this.model = null; this.modelName = null; this.loadCounter = 0; this.loadingElement = null; this.loadingErrorTimeout = null;
+        this.eventListeners = []; this.animationFrameId = null; this.destroyed = false;
+        this.needsRender = true; this.clusterElements = []; this.labelPlacements = new WeakMap();
+        // Label occlusion is tested against a low-resolution depth image of the model, read back once per rendered frame.
+        this.occlusionScale = 0.25; this.occlusionTarget = null; this.occlusionBuffer = null; this.occlusion = null;
         
         // --- Materials & Highlighting ---
         this.originalMaterials = new Map();
         this.wireframeMaterial = new this.THREE.MeshBasicMaterial({ color: 0xffffff, wireframe: true });
         this.xrayMaterial = new this.THREE.MeshStandardMaterial({ color: 0x00aaff, transparent: true, opacity: 0.3, depthWrite: false });
+        this.wireframeMaterial.clippingPlanes = this.clippingPlanes;
+        this.xrayMaterial.clippingPlanes = this.clippingPlanes;
+        // Pins share one geometry and material so thousands of annotations don't mean thousands of GPU buffers and programs.
+        this.annotationMarkerGeometry = new this.THREE.SphereGeometry(0.05, 16, 16);
+        this.annotationMarkerMaterial = new this.THREE.MeshBasicMaterial({ color: 0xff4444 });
+        this.annotationMarkerMaterial.clippingPlanes = this.clippingPlanes;
+        this.depthMaterial = new this.THREE.MeshDepthMaterial({ depthPacking: this.THREE.RGBADepthPacking });
+        this.depthMaterial.clippingPlanes = this.clippingPlanes;
 
         this.scene = new this.THREE.Scene();
         this.camera = new this.THREE.PerspectiveCamera(75, 1, 0.1, 2000);
@@ -53,6 +102,9 @@ export class VikCraft3DAnnotator {
             if (!options[dep]) throw new Error(`Required dependency "${dep}" is missing from options.`);
             this[dep] = options[dep];
         });
+        this.loaders = new Map();
+        this.registerLoader(['glb', 'gltf'], this.gltfLoader);
+        Object.entries(options.loaders || {}).forEach(([extension, loader]) => this.registerLoader(extension, loader));
     }
 
     _init() {
@@ -62,11 +114,13 @@ export class VikCraft3DAnnotator {
         this.camera.updateProjectionMatrix();
         this.renderer.setSize(this.viewerContainer.clientWidth, this.viewerContainer.clientHeight);
         this.renderer.setPixelRatio(window.devicePixelRatio);
+        this.renderer.localClippingEnabled = true;
         this.viewerContainer.appendChild(this.renderer.domElement);
         this.scene.background = new this.THREE.Color(0x111827);
 
         this.controls = new this.OrbitControls(this.camera, this.renderer.domElement);
         this.controls.enableDamping = true;
+        this.controls.addEventListener('change', () => this.requestRender());
         
         this.scene.add(new this.THREE.AmbientLight(0xffffff, 0.7));
         const dirLight = new this.THREE.DirectionalLight(0xffffff, 1.0);
@@ -81,7 +135,7 @@ export class VikCraft3DAnnotator {
         this._setupTransformControls();
         this._createToolbar();
         
-        if (this.modelUrl) this._loadModel(this.modelUrl);
+        if (this.modelUrl) this.loadModel(this.modelUrl).catch(() => {}); // errors are reported through onError
         
         this._setupEventListeners();
         this._animate();
@@ -91,54 +145,78 @@ export class VikCraft3DAnnotator {
         this.transformControls = new this.TransformControls(this.camera, this.renderer.domElement);
         this.transformControls.addEventListener('dragging-changed', (event) => {
             this.controls.enabled = !event.value;
+            const object = this.transformControls.object;
+            if (!object) return;
+            if (event.value) {
+                this.transformDragStart = this._captureTransform(object);
+            } else if (this.transformDragStart) {
+                const before = this.transformDragStart, after = this._captureTransform(object);
+                this.transformDragStart = null;
+                const changed = !before.position.equals(after.position) || !before.quaternion.equals(after.quaternion) || !before.scale.equals(after.scale);
+                if (changed) this._recordCommand('Transform', () => this._applyTransform(object, before), () => this._applyTransform(object, after));
+            }
         });
         this.transformControls.addEventListener('mouseUp', () => {
-            this._updateCameraTarget();
+            if (this.transformControls.object === this.model) this._updateCameraTarget();
         });
         this.transformControls.addEventListener('mode-change', () => {
             this._updateTransformButtonStates();
         });
+        this.transformControls.addEventListener('change', () => this.requestRender());
         this.transformControls.enabled = false;
         this.transformControls.visible = false;
         this.scene.add(this.transformControls);
     }
     
     _setupEventListeners() {
-        this.renderer.domElement.addEventListener('click', (event) => this._onClick(event));
-        this.renderer.domElement.addEventListener('mousemove', (event) => this._onMouseMove(event));
-        this.renderer.domElement.addEventListener('dblclick', (event) => this._onDoubleClick(event));
-        window.addEventListener('resize', () => this._onWindowResize());
+        this._listen(this.renderer.domElement, 'pointerdown', (event) => {
+            this.pointerDownPosition = { x: event.clientX, y: event.clientY };
+            this.rootContainer.focus({ preventScroll: true });
+        });
+        this._listen(this.renderer.domElement, 'click', (event) => this._onClick(event));
+        this._listen(this.renderer.domElement, 'mousemove', (event) => this._onMouseMove(event));
+        this._listen(this.renderer.domElement, 'dblclick', (event) => this._onDoubleClick(event));
+        this._listen(window, 'resize', () => this._onWindowResize());
+        // Shortcuts only apply to the focused viewer, so several viewers can share a page.
+        if (!this.rootContainer.hasAttribute('tabindex')) { this.rootContainer.setAttribute('tabindex', '0'); this.addedTabIndex = true; }
+        this._listen(this.rootContainer, 'keydown', (event) => this._onKeyDown(event));
+        if (this.enableDragDrop) this._setupDropZone();
     }
     
     _onClick(event) {
         if (this.dblClickTimeout) return;
-        if (this.currentMode === 'navigate' || this.currentMode === 'transform' || (!this.model && !this.gridHelper)) return;
+        if (this.currentMode === 'transform' || (!this.model && !this.gridHelper)) return;
+        // A click also ends every orbit, pan or gizmo drag; those must not select, pin or measure anything.
+        if (this._isDragClick(event)) return;
         const mouse = new this.THREE.Vector2();
         const rect = this.renderer.domElement.getBoundingClientRect();
         mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
         mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
         const raycaster = new this.THREE.Raycaster();
         raycaster.setFromCamera(mouse, this.camera);
+        if (this.mixer) this._refreshSkinnedBounds();
+        if (this.currentMode === 'section') { this._handleSectionClick(raycaster); return; }
+        if (this.currentMode === 'navigate') { this._handleSelectionClick(raycaster); return; }
         const targets = [this.model, this.gridHelper].filter(Boolean);
-        const intersects = raycaster.intersectObjects(targets, true);
+        const intersects = raycaster.intersectObjects(targets, true).filter(hit => this._isHitVisible(hit));
         if (intersects.length > 0) {
             const point = intersects[0].point;
             if (this.currentMode === 'annotate' && intersects[0].object !== this.gridHelper) {
-                const text = prompt("Enter annotation text:");
-                if (text) {
-                    const id = `anno-${Date.now()}`;
-                    this._createAnnotationFromData({ id, position: point, text }, true);
-                    this._renderSidebar();
-                    this._focusOnAnnotation(id);
-                }
+                this._openEditor('create', { position: point, intersect: intersects[0] });
             } else if (this.currentMode === 'measure') {
-                this._handleMeasureClick(point);
+                this._handleMeasureClick(intersects[0]);
             }
         }
     }
 
+    _isDragClick(event) {
+        if (!this.pointerDownPosition) return false;
+        return Math.hypot(event.clientX - this.pointerDownPosition.x, event.clientY - this.pointerDownPosition.y) > 4;
+    }
+
     _onDoubleClick(event) {
         this.dblClickTimeout = setTimeout(() => { this.dblClickTimeout = null; }, 300);
+        if (this.currentMode === 'measure') { this._finishMeasurement(); return; }
         if (this.currentMode !== 'navigate' || !this.model) return;
         const mouse = new this.THREE.Vector2();
         const rect = this.renderer.domElement.getBoundingClientRect();
@@ -146,12 +224,27 @@ export class VikCraft3DAnnotator {
         mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
         const raycaster = new this.THREE.Raycaster();
         raycaster.setFromCamera(mouse, this.camera);
-        const intersects = raycaster.intersectObject(this.model, true);
+        if (this.mixer) this._refreshSkinnedBounds();
+        const intersects = raycaster.intersectObject(this.model, true).filter(hit => this._isHitVisible(hit));
         if (intersects.length > 0) {
             this._refocusCamera(intersects[0].point);
         }
     }
     
+    _onKeyDown(event) {
+        const tag = event.target && event.target.tagName;
+        if (tag === 'INPUT' || tag === 'TEXTAREA' || (event.target && event.target.isContentEditable)) return;
+        const key = event.key.toLowerCase();
+        if ((event.ctrlKey || event.metaKey) && (key === 'z' || key === 'y')) {
+            event.preventDefault();
+            if (key === 'y' || event.shiftKey) this.redo(); else this.undo();
+            return;
+        }
+        if (this.currentMode !== 'measure') return;
+        if (event.key === 'Enter' && tag !== 'BUTTON' && tag !== 'SELECT') this._finishMeasurement();
+        else if (event.key === 'Escape') this._cancelMeasurement();
+    }
+
     _refocusCamera(targetPoint) {
         this.controls.target.copy(targetPoint);
         this.controls.update();
@@ -165,35 +258,1839 @@ export class VikCraft3DAnnotator {
         this._refocusCamera(newCenter);
     }
 
-    // --- All other private and public methods are included below without changes ---
     loadAnnotations(annotationsData) { if (!this.model) { console.error("Model not loaded yet. Use the onModelLoaded callback."); return; } annotationsData.forEach(data => this._createAnnotationFromData(data)); this._renderSidebar(); }
-    toggleGridVisibility() { if (!this.gridHelper) return; this.gridHelper.visible = !this.gridHelper.visible; this.toolbar.querySelector('[data-control="grid"]')?.classList.toggle('active', this.gridHelper.visible); }
-    clearAllMeasurements() { this.measurements.forEach(measure => { this.scene.remove(measure.line); this.scene.remove(measure.startMarker); this.scene.remove(measure.endMarker); measure.line.geometry.dispose(); measure.line.material.dispose(); measure.startMarker.geometry.dispose(); measure.startMarker.material.dispose(); measure.endMarker.geometry.dispose(); measure.endMarker.material.dispose(); this.viewerContainer.removeChild(measure.element); }); this.measurements = []; }
-    setViewMode(mode) { this.viewMode = mode; this.model.traverse(child => { if (child.isMesh) { switch(mode) { case 'wireframe': child.material = this.wireframeMaterial; break; case 'xray': child.material = this.xrayMaterial; break; default: child.material = this.originalMaterials.get(child.uuid) || child.material; break; } } }); this.toolbar.querySelectorAll('[data-view-mode]').forEach(btn => btn.classList.toggle('active', btn.dataset.viewMode === mode)); }
-    _setupPostProcessing() { this.composer = new this.EffectComposer(this.renderer); const renderPass = new this.RenderPass(this.scene, this.camera); this.composer.addPass(renderPass); this.outlinePass = new this.OutlinePass(new this.THREE.Vector2(this.viewerContainer.clientWidth, this.viewerContainer.clientHeight), this.scene, this.camera); this.outlinePass.edgeStrength = 5; this.outlinePass.edgeGlow = 0.5; this.outlinePass.edgeThickness = 1; this.outlinePass.visibleEdgeColor.set('#ffffff'); this.outlinePass.hiddenEdgeColor.set('#22aaff'); this.composer.addPass(this.outlinePass); const outputPass = new this.OutputPass(); this.composer.addPass(outputPass); }
-    _createLayout() { this.rootContainer.innerHTML = ''; const wrapper = document.createElement('div'); wrapper.className = 'vikcraft-wrapper'; this.viewerContainer = document.createElement('div'); this.viewerContainer.className = 'vikcraft-viewer'; this.sidebarContainer = document.createElement('div'); this.sidebarContainer.className = 'vikcraft-sidebar'; this.sidebarContainer.innerHTML = `<div class="vikcraft-sidebar-tabs"><button class="vikcraft-tab-button active" data-tab="annotations">Annotations</button><button class="vikcraft-tab-button" data-tab="explorer">Explorer</button></div><div class="vikcraft-tab-content active" id="annotations-content"><div class="vikcraft-comment-list"></div></div><div class="vikcraft-tab-content" id="explorer-content"><ul class="vikcraft-model-tree"></ul></div>`; wrapper.appendChild(this.viewerContainer); wrapper.appendChild(this.sidebarContainer); this.rootContainer.appendChild(wrapper); this.commentListContainer = this.sidebarContainer.querySelector('.vikcraft-comment-list'); this.modelTreeContainer = this.sidebarContainer.querySelector('.vikcraft-model-tree'); this.sidebarContainer.querySelectorAll('.vikcraft-tab-button').forEach(button => { button.addEventListener('click', () => { const tabName = button.dataset.tab; this.sidebarContainer.querySelectorAll('.vikcraft-tab-button').forEach(btn => btn.classList.remove('active')); this.sidebarContainer.querySelectorAll('.vikcraft-tab-content').forEach(content => content.classList.remove('active')); button.classList.add('active'); this.sidebarContainer.querySelector(`#${tabName}-content`).classList.add('active'); }); }); }
-    _createToolbar() { this.toolbar = document.createElement('div'); this.toolbar.className = 'vikcraft-toolbar'; const modes = { navigate: 'Navigate', transform: 'Transform', annotate: 'Annotate', measure: 'Measure' }; Object.entries(modes).forEach(([key, value]) => { const button = document.createElement('button'); button.className = 'vikcraft-button'; if (key === this.currentMode) button.classList.add('active'); button.textContent = value; button.dataset.mode = key; button.addEventListener('click', () => this._setMode(key)); this.toolbar.appendChild(button); }); this.transformModeContainer = document.createElement('div'); this.transformModeContainer.className = 'vikcraft-sub-toolbar'; this.transformModeContainer.style.display = 'none'; const transformModes = { translate: 'Move', rotate: 'Rotate', scale: 'Scale' }; Object.entries(transformModes).forEach(([key, value]) => { const button = document.createElement('button'); button.className = 'vikcraft-button-small'; button.textContent = value; button.dataset.transformMode = key; button.addEventListener('click', () => { this.transformControls.setMode(key); }); this.transformModeContainer.appendChild(button); }); this.toolbar.appendChild(this.transformModeContainer); const separator1 = document.createElement('div'); separator1.style.cssText = 'border-left: 1px solid #555; margin: 0 5px;'; this.toolbar.appendChild(separator1); const viewModes = { default: 'Default', wireframe: 'Wireframe', xray: 'X-Ray'}; Object.entries(viewModes).forEach(([key, value]) => { const button = document.createElement('button'); button.className = 'vikcraft-button'; button.textContent = value; button.dataset.viewMode = key; if (key === this.viewMode) button.classList.add('active'); button.addEventListener('click', () => this.setViewMode(key)); this.toolbar.appendChild(button); }); const separator2 = document.createElement('div'); separator2.style.cssText = 'border-left: 1px solid #555; margin: 0 5px;'; this.toolbar.appendChild(separator2); const gridButton = document.createElement('button'); gridButton.className = 'vikcraft-button'; gridButton.textContent = 'Grid'; gridButton.dataset.control = 'grid'; if (this.gridHelper.visible) gridButton.classList.add('active'); gridButton.addEventListener('click', () => this.toggleGridVisibility()); this.toolbar.appendChild(gridButton); this.clearMeasuresButton = document.createElement('button'); this.clearMeasuresButton.className = 'vikcraft-button'; this.clearMeasuresButton.textContent = 'Clear Measures'; this.clearMeasuresButton.style.display = 'none'; this.clearMeasuresButton.addEventListener('click', () => this.clearAllMeasurements()); this.toolbar.appendChild(this.clearMeasuresButton); this.viewerContainer.appendChild(this.toolbar); }
-    _loadModel(url) { this.gltfLoader.load(url, (gltf) => { this.model = gltf.scene; this._storeOriginalMaterials(); const explorerData = this._buildExplorerData(this.model); const box = new this.THREE.Box3().setFromObject(this.model); const size = box.getSize(new this.THREE.Vector3()).length(); const center = box.getCenter(new this.THREE.Vector3()); this.model.position.sub(center); this.scene.add(this.model); this.transformControls.attach(this.model); this.camera.position.copy(center); this.camera.position.x += size; this.camera.position.y += size / 2; this.camera.position.z += size; this.camera.lookAt(center); this.controls.target.copy(center); this.modelTreeContainer.innerHTML = ''; this._renderModelExplorer(explorerData, this.modelTreeContainer); if (this.onModelLoaded) this.onModelLoaded(); }); }
+    toggleGridVisibility() { if (!this.gridHelper) return; this.setGridVisibility(!this.gridHelper.visible); }
+    setGridVisibility(visible) { if (!this.gridHelper) return; this.gridHelper.visible = visible; this.toolbar.querySelector('[data-control="grid"]')?.classList.toggle('active', visible); this.requestRender(); }
+    /**
+     * Returns all measurements as plain, serializable objects.
+     * @returns {Array<{id: string, type: string, points: Array<{x: number, y: number, z: number}>, normal: ?{x: number, y: number, z: number}, value: number, text: string}>}
+     */
+    getMeasurements() {
+        return this.measurements.map(measurement => this._serializeMeasurement(measurement));
+    }
+
+    /**
+     * Loads an array of measurement objects (as returned by getMeasurements) into the scene.
+     * Values and labels are recomputed with the current unit settings. Invalid entries are skipped with
+     * a console error, and entries without an id get a generated one.
+     * @param {Array<object>} measurementsData
+     */
+    loadMeasurements(measurementsData) {
+        const isPoint = p => !!p && [p.x, p.y, p.z].every(Number.isFinite);
+        measurementsData.forEach((data, i) => {
+            const type = data.type || 'distance';
+            if (!VikCraft3DAnnotator.MEASURE_TYPES[type]) { console.error(`Unknown measurement type "${data.type}".`); return; }
+            const minPoints = VikCraft3DAnnotator.MEASURE_MIN_POINTS[type];
+            if (!Array.isArray(data.points) || data.points.length < minPoints || !data.points.every(isPoint)) { console.error(`A "${type}" measurement needs at least ${minPoints} {x, y, z} points.`); return; }
+            if (type === 'plane' && !isPoint(data.normal)) { console.error('A "plane" measurement needs a normal.'); return; }
+            this._createMeasurementFromData(data.id ? data : { ...data, id: `measure-${Date.now()}-${i}` });
+        });
+        this._renderMeasurementList();
+    }
+
+    /**
+     * Removes a single measurement by id.
+     * @param {string} id
+     */
+    deleteMeasurement(id) {
+        const index = this.measurements.findIndex(m => m.id === id);
+        if (index === -1) return;
+        const data = this._serializeMeasurement(this.measurements[index]);
+        if (this.onMeasurementDeleted) this.onMeasurementDeleted(id);
+        this._removeMeasurement(this.measurements[index]);
+        this.measurements.splice(index, 1);
+        this._renderMeasurementList();
+        this._recordCommand('Delete measurement', () => this._restoreMeasurement(data, index), () => this.deleteMeasurement(id));
+    }
+
+    /**
+     * Sets the tool used by measure mode.
+     * @param {string} type One of 'distance', 'polyline', 'angle', 'area' or 'plane'.
+     */
+    setMeasureType(type) {
+        if (!VikCraft3DAnnotator.MEASURE_TYPES[type]) throw new Error(`Unknown measurement type "${type}".`);
+        this._cancelMeasurement();
+        this.measureType = type;
+        this.measureTypeContainer.querySelectorAll('[data-measure-type]').forEach(btn => btn.classList.toggle('active', btn.dataset.measureType === type));
+    }
+
+    clearAllMeasurements() { this._cancelMeasurement(); if (this.measurements.length === 0) return; const cleared = this.getMeasurements(); this._recordCommand('Clear measurements', () => cleared.forEach((data, index) => this._restoreMeasurement(data, index)), () => this.clearAllMeasurements()); this.measurements.forEach(measure => { if (this.onMeasurementDeleted) this.onMeasurementDeleted(measure.id); this._removeMeasurement(measure); }); this.measurements = []; this._renderMeasurementList(); }
+
+    /**
+     * Reverts the most recent annotate, measure, transform or view-mode action.
+     * @returns {boolean} False if there was nothing to undo.
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return false;
+        this._runWithoutHistory(command.undo);
+        this.redoStack.push(command);
+        this._notifyHistoryChanged();
+        return true;
+    }
+
+    /**
+     * Re-applies the most recently undone action.
+     * @returns {boolean} False if there was nothing to redo.
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return false;
+        this._runWithoutHistory(command.redo);
+        this.undoStack.push(command);
+        this._notifyHistoryChanged();
+        return true;
+    }
+
+    canUndo() { return this.undoStack.length > 0; }
+    canRedo() { return this.redoStack.length > 0; }
+
+    /** Forgets all recorded actions, e.g. after the host app has saved. */
+    clearHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this._notifyHistoryChanged();
+    }
+
+    _recordCommand(label, undo, redo) {
+        if (this.historyPaused) return;
+        this.undoStack.push({ label, undo, redo });
+        if (this.undoStack.length > this.historyLimit) this.undoStack.shift();
+        this.redoStack = [];
+        this._notifyHistoryChanged();
+    }
+
+    _runWithoutHistory(fn) {
+        const wasPaused = this.historyPaused;
+        this.historyPaused = true;
+        try { fn(); } finally { this.historyPaused = wasPaused; }
+    }
+
+    _notifyHistoryChanged() {
+        this.toolbar.querySelector('[data-control="undo"]').disabled = !this.canUndo();
+        this.toolbar.querySelector('[data-control="redo"]').disabled = !this.canRedo();
+        if (this.onHistoryChanged) {
+            const lastUndo = this.undoStack[this.undoStack.length - 1], lastRedo = this.redoStack[this.redoStack.length - 1];
+            this.onHistoryChanged({ canUndo: this.canUndo(), canRedo: this.canRedo(), undoLabel: lastUndo ? lastUndo.label : null, redoLabel: lastRedo ? lastRedo.label : null });
+        }
+    }
+
+    _captureTransform(object) {
+        return { position: object.position.clone(), quaternion: object.quaternion.clone(), scale: object.scale.clone() };
+    }
+
+    _applyTransform(object, transform) {
+        object.position.copy(transform.position);
+        object.quaternion.copy(transform.quaternion);
+        object.scale.copy(transform.scale);
+        object.updateMatrixWorld(true);
+        this.requestRender();
+    }
+
+    /**
+     * Adds a section (clipping) plane. Geometry on the side the normal points away from is cut away
+     * and the cut surfaces are capped.
+     * @param {object} [config]
+     * @param {string} [config.axis] 'x', 'y' or 'z' to cut across that axis through the model centre (default 'x').
+     * @param {{x: number, y: number, z: number}} [config.normal] Plane normal in world space; overrides axis.
+     * @param {number} [config.constant] Plane constant, as in THREE.Plane. Defaults to passing through the model centre.
+     * @param {string} [config.id]
+     * @returns {string} The id of the new plane.
+     */
+    addSectionPlane(config = {}) {
+        if (!this.model) throw new Error("Model not loaded yet. Use the onModelLoaded callback.");
+        const THREE = this.THREE;
+        const box = new THREE.Box3().setFromObject(this.model);
+        const center = box.getCenter(new THREE.Vector3());
+        const size = box.getSize(new THREE.Vector3()).length() || 1;
+        let normal;
+        if (config.normal) {
+            normal = new THREE.Vector3(config.normal.x, config.normal.y, config.normal.z);
+            if (!(normal.lengthSq() > 0)) throw new Error('A section plane normal must be a non-zero vector.');
+            normal.normalize();
+        } else {
+            const axis = config.axis || 'x';
+            if (!['x', 'y', 'z'].includes(axis)) throw new Error(`Unknown section axis "${axis}".`);
+            normal = new THREE.Vector3();
+            normal[axis] = -1;
+        }
+        const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(normal, center);
+        if (config.constant !== undefined) plane.constant = config.constant;
+
+        // The handle is what the TransformControls gizmo moves; its local +Z axis is the plane normal.
+        const handle = new THREE.Mesh(new THREE.PlaneGeometry(size, size), new THREE.MeshBasicMaterial({ color: 0x00aaff, transparent: true, opacity: 0.12, side: THREE.DoubleSide, depthWrite: false }));
+        handle.add(new THREE.LineSegments(new THREE.EdgesGeometry(handle.geometry), new THREE.LineBasicMaterial({ color: 0x00aaff })));
+        plane.projectPoint(center, handle.position);
+        handle.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), normal);
+        handle.visible = this.currentMode === 'section';
+        this.scene.add(handle);
+
+        // Stencil meshes count how many times each pixel's view ray enters and leaves the clipped
+        // solid; the cap only draws where that count is non-zero, i.e. over the cut interior.
+        const stencilGroup = new THREE.Group();
+        this.model.traverse(child => {
+            if (!child.isMesh || !this.originalMaterials.has(child.uuid)) return;
+            [[THREE.BackSide, THREE.IncrementWrapStencilOp], [THREE.FrontSide, THREE.DecrementWrapStencilOp]].forEach(([side, op]) => {
+                const material = new THREE.MeshBasicMaterial({ side, clippingPlanes: [plane], depthWrite: false, depthTest: false, colorWrite: false, stencilWrite: true, stencilFunc: THREE.AlwaysStencilFunc, stencilFail: op, stencilZFail: op, stencilZPass: op });
+                const mesh = child.isSkinnedMesh ? new THREE.SkinnedMesh(child.geometry, material) : new THREE.Mesh(child.geometry, material);
+                if (child.isSkinnedMesh) {
+                    // Share the source's skeleton so the cut follows the current pose, not the bind pose.
+                    mesh.bindMode = child.bindMode;
+                    mesh.bind(child.skeleton, child.bindMatrix);
+                    mesh.frustumCulled = false;
+                }
+                mesh.matrixAutoUpdate = false;
+                mesh.matrixWorldAutoUpdate = false;
+                mesh.raycast = () => {};
+                mesh.userData.source = child;
+                stencilGroup.add(mesh);
+            });
+        });
+        this.scene.add(stencilGroup);
+
+        const cap = new THREE.Mesh(new THREE.PlaneGeometry(size * 2, size * 2), new THREE.MeshStandardMaterial({ color: this.sectionCapColor, metalness: 0.1, roughness: 0.75, side: THREE.DoubleSide, stencilWrite: true, stencilRef: 0, stencilFunc: THREE.NotEqualStencilFunc, stencilFail: THREE.ReplaceStencilOp, stencilZFail: THREE.ReplaceStencilOp, stencilZPass: THREE.ReplaceStencilOp }));
+        cap.onAfterRender = (renderer) => renderer.clearStencil();
+        cap.raycast = () => {};
+        this.scene.add(cap);
+
+        const id = config.id || `section-${Date.now()}-${this.sectionPlanes.length}`;
+        this.sectionPlanes.push({ id, plane, handle, stencilGroup, cap });
+        this._refreshSectionPlanes();
+        this._selectSectionPlane(id);
+        return id;
+    }
+
+    /**
+     * Returns the section planes in world space.
+     * @returns {Array<{id: string, normal: {x: number, y: number, z: number}, constant: number}>}
+     */
+    getSectionPlanes() {
+        this._updateSectionPlanes();
+        return this.sectionPlanes.map(({ id, plane }) => ({ id, normal: { x: plane.normal.x, y: plane.normal.y, z: plane.normal.z }, constant: plane.constant }));
+    }
+
+    /**
+     * Replaces all section planes, e.g. with the output of getSectionPlanes().
+     * @param {Array<{id?: string, normal: {x: number, y: number, z: number}, constant: number}>} planes
+     */
+    setSectionPlanes(planes) {
+        this.clearSectionPlanes();
+        planes.forEach(config => this.addSectionPlane(config));
+    }
+
+    removeSectionPlane(id) {
+        const index = this.sectionPlanes.findIndex(section => section.id === id);
+        if (index === -1) return;
+        const section = this.sectionPlanes[index];
+        if (this.transformControls.object === section.handle) this.transformControls.detach();
+        [section.handle, section.stencilGroup, section.cap].forEach(object => this.scene.remove(object));
+        section.handle.traverse(child => { child.geometry.dispose(); child.material.dispose(); });
+        section.stencilGroup.children.forEach(mesh => mesh.material.dispose()); // geometry is shared with the model
+        section.cap.geometry.dispose();
+        section.cap.material.dispose();
+        this.sectionPlanes.splice(index, 1);
+        if (this.selectedSectionId === id) this.selectedSectionId = null;
+        this._refreshSectionPlanes();
+        if (this.currentMode === 'section') this._setMode('section');
+    }
+
+    clearSectionPlanes() {
+        [...this.sectionPlanes].forEach(section => this.removeSectionPlane(section.id));
+    }
+
+    _refreshSectionPlanes() {
+        // Clipped materials all share this.clippingPlanes, so update it in place.
+        this.clippingPlanes.length = 0;
+        this.sectionPlanes.forEach((section, i) => {
+            this.clippingPlanes.push(section.plane);
+            section.stencilGroup.children.forEach(mesh => { mesh.renderOrder = i + 1; });
+            section.cap.renderOrder = i + 1.1;
+            section.cap.material.clippingPlanes = this.sectionPlanes.filter(other => other !== section).map(other => other.plane);
+        });
+        this._updateSectionPlanes();
+        this.requestRender();
+    }
+
+    _updateSectionPlanes() {
+        this.sectionPlanes.forEach(({ plane, handle, stencilGroup, cap }) => {
+            const normal = new this.THREE.Vector3(0, 0, 1).applyQuaternion(handle.quaternion);
+            plane.setFromNormalAndCoplanarPoint(normal, handle.position);
+            plane.coplanarPoint(cap.position);
+            cap.lookAt(cap.position.clone().sub(normal));
+            stencilGroup.children.forEach(mesh => {
+                mesh.matrixWorld.copy(mesh.userData.source.matrixWorld);
+                mesh.visible = this._isObjectVisible(mesh.userData.source);
+            });
+        });
+    }
+
+    _selectSectionPlane(id) {
+        this.selectedSectionId = id;
+        this.sectionPlanes.forEach(section => section.handle.material.opacity = section.id === id ? 0.25 : 0.12);
+        if (this.currentMode === 'section') this._setMode('section');
+        this.requestRender();
+    }
+
+    _flipSectionPlane(id) {
+        const section = this.sectionPlanes.find(s => s.id === id);
+        if (!section) return;
+        section.handle.rotateX(Math.PI);
+        this._updateSectionPlanes();
+        this.requestRender();
+    }
+
+    _handleSectionClick(raycaster) {
+        const handleHits = raycaster.intersectObjects(this.sectionPlanes.map(section => section.handle), false);
+        if (this.sectionPickArmed && this.model) {
+            const hit = raycaster.intersectObject(this.model, true).find(h => this._isHitVisible(h));
+            if (hit) {
+                this.sectionPickArmed = false;
+                this.sectionToolContainer.querySelector('[data-section-action="face"]').classList.remove('active');
+                const normal = this._getWorldNormal(hit).negate();
+                this.addSectionPlane({ normal, constant: -normal.dot(hit.point) });
+                return;
+            }
+        }
+        if (handleHits.length > 0) {
+            const section = this.sectionPlanes.find(s => s.handle === handleHits[0].object);
+            if (section) this._selectSectionPlane(section.id);
+        }
+    }
+
+    _applyClipping(object) {
+        object.traverse(child => {
+            if (!child.material) return;
+            (Array.isArray(child.material) ? child.material : [child.material]).forEach(material => { material.clippingPlanes = this.clippingPlanes; });
+        });
+    }
+
+    _isClipped(point) {
+        return this.clippingPlanes.some(plane => plane.distanceToPoint(point) < 0);
+    }
+
+    /**
+     * Renders the current view at a given resolution, optionally with the annotation and
+     * measurement labels drawn in (they are DOM overlays, so a plain canvas grab misses them).
+     * Editing helpers such as the transform gizmo and section plane handles are left out.
+     * @param {{width?: number, height?: number, includeLabels?: boolean, mimeType?: string}} [options]
+     * @returns {string} The image as a data URL.
+     */
+    captureImage(options = {}) {
+        const viewWidth = this.viewerContainer.clientWidth, viewHeight = this.viewerContainer.clientHeight;
+        const width = Math.round(options.width || viewWidth * this.renderer.getPixelRatio());
+        const height = Math.round(options.height || (width * viewHeight) / viewWidth);
+        const includeLabels = options.includeLabels !== false;
+
+        const hidden = [this.transformControls, ...this.sectionPlanes.map(section => section.handle)].filter(object => object.visible);
+        const selectedObjects = this.outlinePass.selectedObjects;
+        const pixelRatio = this.renderer.getPixelRatio();
+        hidden.forEach(object => { object.visible = false; });
+        this.outlinePass.selectedObjects = [];
+        this.renderer.setPixelRatio(1);
+        this.composer.setPixelRatio(1);
+        this.renderer.setSize(width, height, false);
+        this.composer.setSize(width, height);
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d');
+        try {
+            if (includeLabels) this._updateOcclusionBuffer();
+            this.composer.render();
+            // Copy before yielding: the WebGL drawing buffer is only guaranteed until the next frame.
+            context.drawImage(this.renderer.domElement, 0, 0, width, height);
+            if (includeLabels) this._drawLabels(context, width, height, viewHeight ? height / viewHeight : 1);
+        } finally {
+            hidden.forEach(object => { object.visible = true; });
+            this.outlinePass.selectedObjects = selectedObjects;
+            this.renderer.setPixelRatio(pixelRatio);
+            this.composer.setPixelRatio(pixelRatio);
+            this._onWindowResize();
+        }
+        return canvas.toDataURL(options.mimeType || 'image/png');
+    }
+
+    _drawLabels(context, width, height, scale) {
+        const styles = getComputedStyle(this.rootContainer);
+        const primaryColor = styles.getPropertyValue('--vikcraft-primary-color').trim() || '#0099ff';
+        const backgroundColor = styles.getPropertyValue('--vikcraft-background-color').trim() || 'rgba(31, 41, 55, 0.85)';
+        const fontSize = 14 * scale, paddingX = 12 * scale, paddingY = 8 * scale, radius = 8 * scale;
+        context.font = `${fontSize}px system-ui, sans-serif`;
+        context.textBaseline = 'middle';
+        const { singles, clusters } = this._layoutLabels(width, height, scale);
+        const labels = [
+            ...singles.map(({ item, point }) => ({ point, text: item.text.replace(/\s*\n\s*/g, ' '), borderColor: item.anchor ? '#999999' : primaryColor })),
+            ...clusters.map(({ items, point }) => ({ point, text: String(items.length), borderColor: primaryColor })),
+        ];
+        labels.forEach(({ point, text, borderColor }) => {
+            const boxWidth = context.measureText(text).width + paddingX * 2, boxHeight = fontSize + paddingY * 2;
+            // Mirrors the label CSS: centred horizontally, bottom edge just above the point.
+            const x = point.x - boxWidth / 2, y = point.y - boxHeight * 1.2;
+            context.beginPath();
+            if (context.roundRect) context.roundRect(x, y, boxWidth, boxHeight, radius); else context.rect(x, y, boxWidth, boxHeight);
+            context.fillStyle = backgroundColor;
+            context.fill();
+            context.lineWidth = Math.max(1, scale);
+            context.strokeStyle = borderColor;
+            context.stroke();
+            context.fillStyle = '#ffffff';
+            context.fillText(text, x + paddingX, y + boxHeight / 2);
+        });
+    }
+
+    /**
+     * Builds a self-contained HTML review report: an overview image, a framed thumbnail and the
+     * details of every annotation, and a table of measurements. Print it to get a PDF.
+     * @param {{title?: string, thumbnailWidth?: number, thumbnailHeight?: number}} [options]
+     * @returns {string} The HTML document.
+     */
+    exportReport(options = {}) {
+        const title = options.title || 'Design Review Report';
+        const thumbnailWidth = options.thumbnailWidth || 640, thumbnailHeight = options.thumbnailHeight || 400;
+        const escape = value => this._escapeHtml(value);
+        const formatVector = v => `${v.x.toFixed(3)}, ${v.y.toFixed(3)}, ${v.z.toFixed(3)}`;
+        const formatDate = iso => (iso ? new Date(iso).toLocaleString() : '-');
+
+        const cameraPosition = this.camera.position.clone(), cameraTarget = this.controls.target.clone();
+        const action = this.currentAction, actionTime = this.getAnimationTime(), wasPlaying = this.animationPlaying;
+        this.pauseAnimation();
+        const overview = this.captureImage({ width: thumbnailWidth * 2, height: thumbnailHeight * 2 });
+        const annotationSections = this.annotations.map((annotation, i) => {
+            if (annotation.animation) this._showAnimationFrame(annotation.animation);
+            this._focusCameraOn(this._getItemWorldPosition(annotation));
+            this.camera.lookAt(this.controls.target);
+            const image = this.captureImage({ width: thumbnailWidth, height: thumbnailHeight });
+            const replies = annotation.replies.map(reply => `<li><strong>${escape(reply.author)}</strong> <span class="muted">${escape(formatDate(reply.createdAt))}</span><div class="text">${escape(reply.text)}</div></li>`).join('');
+            return `<section class="annotation">
+<img src="${image}" alt="Annotation ${i + 1}">
+<div class="details">
+<h3>#${i + 1} <span class="status ${annotation.status}">${annotation.status === 'resolved' ? 'Resolved' : 'Open'}</span></h3>
+<div class="text">${escape(annotation.text)}</div>
+<p class="muted">${escape(annotation.author)} &middot; ${escape(formatDate(annotation.createdAt))}<br>Position (model space): ${escape(formatVector(this.model.worldToLocal(this._getItemWorldPosition(annotation))))}${annotation.mesh || annotation.attachTo ? ` on ${escape(annotation.mesh || annotation.attachTo)}` : ''}${annotation.animation ? `<br>Animation: ${escape(annotation.animation.clip)} at ${annotation.animation.time.toFixed(2)} s` : ''}</p>
+${replies ? `<ul class="replies">${replies}</ul>` : ''}
+</div>
+</section>`;
+        }).join('\n');
+        this.camera.position.copy(cameraPosition);
+        this.controls.target.copy(cameraTarget);
+        this.camera.lookAt(cameraTarget);
+        this.controls.update();
+        if (action) {
+            this.setAnimationClip(action.getClip().name);
+            this.setAnimationTime(actionTime);
+            if (wasPlaying) this.playAnimation();
+        }
+
+        const measurementRows = this.measurements.map((measurement, i) => `<tr><td>${i + 1}</td><td>${escape(VikCraft3DAnnotator.MEASURE_TYPES[measurement.type])}</td><td>${escape(measurement.text)}</td><td>${measurement.points.map(p => escape(formatVector(p))).join('<br>')}</td></tr>`).join('\n');
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escape(title)}</title>
+<style>
+body { font-family: system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif; color: #111827; margin: 2rem; }
+h1 { margin-bottom: 0.25rem; }
+img { max-width: 100%; border: 1px solid #d1d5db; border-radius: 0.375rem; }
+.muted { color: #6b7280; font-size: 0.85rem; }
+.text { white-space: pre-wrap; word-wrap: break-word; }
+.annotation { display: flex; gap: 1.5rem; margin-bottom: 1.5rem; page-break-inside: avoid; break-inside: avoid; }
+.annotation img { width: 50%; flex-shrink: 0; }
+.annotation h3 { margin-top: 0; }
+.status { font-size: 0.75rem; padding: 0.1rem 0.5rem; border-radius: 9999px; color: white; background: #b45309; vertical-align: middle; }
+.status.resolved { background: #16a34a; }
+.replies { padding-left: 1rem; border-left: 2px solid #d1d5db; list-style: none; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #d1d5db; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+th { background: #f3f4f6; }
+@media print { body { margin: 0; } h2 { page-break-before: always; } h2:first-of-type { page-break-before: avoid; } }
+</style>
+</head>
+<body>
+<h1>${escape(title)}</h1>
+<p class="muted">${this.modelName ? `${escape(this.modelName)} &middot; ` : ''}Generated ${escape(new Date().toLocaleString())} &middot; ${this.annotations.length} annotation(s), ${this.measurements.length} measurement(s)</p>
+<img src="${overview}" alt="Overview">
+<h2>Annotations</h2>
+${annotationSections || '<p class="muted">No annotations.</p>'}
+<h2>Measurements</h2>
+${measurementRows ? `<table><thead><tr><th>#</th><th>Type</th><th>Value</th><th>Points (world space)</th></tr></thead><tbody>\n${measurementRows}\n</tbody></table>` : '<p class="muted">No measurements.</p>'}
+</body>
+</html>`;
+    }
+
+    _escapeHtml(value) {
+        return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+    }
+
+    /**
+     * Returns all annotations as plain, serializable objects. Positions are local to the node named by
+     * attachTo, or to the model when attachTo is null. mesh names the part the pin was placed on, which
+     * differs from attachTo when the pin follows a bone of a skinned mesh.
+     * @returns {Array<{id: string, position: {x: number, y: number, z: number}, text: string, author: string, createdAt: ?string, status: string, replies: Array<{id: string, author: string, text: string, createdAt: ?string}>, attachTo: ?string, mesh: ?string, animation: ?{clip: string, time: number}}>}
+     */
+    getAnnotations() {
+        return this.annotations.map(annotation => this._serializeAnnotation(annotation));
+    }
+
+    /**
+     * Captures the full review session as a versioned, JSON-serializable object.
+     * See "Scene State Schema" in the README for the format.
+     * @returns {object}
+     */
+    exportState() {
+        const toPlain = v => ({ x: v.x, y: v.y, z: v.z });
+        return {
+            format: VikCraft3DAnnotator.STATE_FORMAT,
+            version: VikCraft3DAnnotator.STATE_VERSION,
+            annotations: this.getAnnotations(),
+            measurements: this.getMeasurements(),
+            modelTransform: this.model ? {
+                position: toPlain(this.model.position),
+                quaternion: { x: this.model.quaternion.x, y: this.model.quaternion.y, z: this.model.quaternion.z, w: this.model.quaternion.w },
+                scale: toPlain(this.model.scale),
+            } : null,
+            viewMode: this.viewMode,
+            grid: { visible: this.gridHelper ? this.gridHelper.visible : false },
+            camera: { position: toPlain(this.camera.position), target: toPlain(this.controls.target), fov: this.camera.fov },
+            sectionPlanes: this.getSectionPlanes(),
+        };
+    }
+
+    /**
+     * Restores a review session saved with exportState(), replacing the current annotations,
+     * measurements and section planes. Older schema versions are migrated first.
+     * @param {object|string} state The exported state, or its JSON string.
+     * @throws {Error} If the model is not loaded or the state is invalid.
+     */
+    importState(state) {
+        if (!this.model) throw new Error("Model not loaded yet. Use the onModelLoaded callback.");
+        if (typeof state === 'string') {
+            try { state = JSON.parse(state); } catch (e) { throw new Error(`Invalid scene state: could not parse JSON (${e.message}).`); }
+        }
+        state = this._migrateState(state);
+        const errors = this._validateState(state);
+        if (errors.length > 0) throw new Error(`Invalid scene state:\n- ${errors.join('\n- ')}`);
+
+        this._runWithoutHistory(() => this._applyState(state));
+        this.clearHistory();
+    }
+
+    _applyState(state) {
+        this._cancelMeasurement();
+        this._closeEditor();
+        this._clearAnnotationsAndMeasurements();
+
+        if (state.modelTransform) {
+            const { position, quaternion, scale } = state.modelTransform;
+            this.model.position.set(position.x, position.y, position.z);
+            this.model.quaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+            this.model.scale.set(scale.x, scale.y, scale.z);
+            this.model.updateMatrixWorld(true);
+        }
+        state.annotations.forEach(data => this._createAnnotationFromData(data));
+        state.measurements.forEach(data => this._createMeasurementFromData(data));
+        this._renderSidebar();
+        this._renderMeasurementList();
+
+        this.setViewMode(state.viewMode);
+        this.setGridVisibility(state.grid.visible);
+        this.setSectionPlanes(state.sectionPlanes);
+        if (state.camera) {
+            this.camera.position.set(state.camera.position.x, state.camera.position.y, state.camera.position.z);
+            if (state.camera.fov != null) this.camera.fov = state.camera.fov;
+            this.camera.updateProjectionMatrix();
+            this.controls.target.set(state.camera.target.x, state.camera.target.y, state.camera.target.z);
+            this.controls.update();
+        }
+    }
+
+    _migrateState(state) {
+        // Version 0 is a bare annotations array, as accepted by loadAnnotations().
+        if (Array.isArray(state)) state = { format: VikCraft3DAnnotator.STATE_FORMAT, version: 0, annotations: state };
+        if (!state || typeof state !== 'object') throw new Error('Invalid scene state: expected an object.');
+        if (state.format !== VikCraft3DAnnotator.STATE_FORMAT) throw new Error(`Invalid scene state: "format" must be "${VikCraft3DAnnotator.STATE_FORMAT}".`);
+        if (!Number.isInteger(state.version) || state.version < 0) throw new Error('Invalid scene state: "version" must be a non-negative integer.');
+        if (state.version > VikCraft3DAnnotator.STATE_VERSION) throw new Error(`Invalid scene state: version ${state.version} is newer than the supported version ${VikCraft3DAnnotator.STATE_VERSION}.`);
+        while (state.version < VikCraft3DAnnotator.STATE_VERSION) {
+            state = VikCraft3DAnnotator.STATE_MIGRATIONS[state.version](state);
+        }
+        return state;
+    }
+
+    _validateState(state) {
+        const errors = [];
+        const isNumber = n => typeof n === 'number' && Number.isFinite(n);
+        const isVector = (v, keys = ['x', 'y', 'z']) => !!v && keys.every(key => isNumber(v[key]));
+        if (!Array.isArray(state.annotations)) errors.push('"annotations" must be an array.');
+        else state.annotations.forEach((a, i) => {
+            if (!a || typeof a.id !== 'string') errors.push(`annotations[${i}].id must be a string.`);
+            if (!a || !isVector(a.position)) errors.push(`annotations[${i}].position must be an {x, y, z} object of numbers.`);
+            if (!a || typeof a.text !== 'string') errors.push(`annotations[${i}].text must be a string.`);
+            if (!a || typeof a.author !== 'string') errors.push(`annotations[${i}].author must be a string.`);
+            if (!a || (a.createdAt !== null && typeof a.createdAt !== 'string')) errors.push(`annotations[${i}].createdAt must be an ISO date string or null.`);
+            if (!a || !['open', 'resolved'].includes(a.status)) errors.push(`annotations[${i}].status must be "open" or "resolved".`);
+            if (!a || !Array.isArray(a.replies)) errors.push(`annotations[${i}].replies must be an array.`);
+            else a.replies.forEach((r, j) => {
+                if (!r || typeof r.id !== 'string' || typeof r.author !== 'string' || typeof r.text !== 'string') errors.push(`annotations[${i}].replies[${j}] must have string id, author and text.`);
+            });
+            if (!a || (a.attachTo !== null && typeof a.attachTo !== 'string')) errors.push(`annotations[${i}].attachTo must be a node name or null.`);
+            if (!a || (a.mesh !== null && typeof a.mesh !== 'string')) errors.push(`annotations[${i}].mesh must be a node name or null.`);
+            if (!a || (a.animation !== null && (typeof a.animation !== 'object' || typeof a.animation.clip !== 'string' || !Number.isFinite(a.animation.time)))) errors.push(`annotations[${i}].animation must be null or {clip: string, time: number}.`);
+        });
+        if (!Array.isArray(state.measurements)) errors.push('"measurements" must be an array.');
+        else state.measurements.forEach((m, i) => {
+            if (!m || typeof m.id !== 'string') errors.push(`measurements[${i}].id must be a string.`);
+            if (!m || !VikCraft3DAnnotator.MEASURE_TYPES[m.type]) errors.push(`measurements[${i}].type must be one of ${Object.keys(VikCraft3DAnnotator.MEASURE_TYPES).join(', ')}.`);
+            else if (!Array.isArray(m.points) || m.points.length < VikCraft3DAnnotator.MEASURE_MIN_POINTS[m.type] || !m.points.every(p => isVector(p))) errors.push(`measurements[${i}].points must hold at least ${VikCraft3DAnnotator.MEASURE_MIN_POINTS[m.type]} {x, y, z} points.`);
+            else if (m.type === 'plane' && !isVector(m.normal)) errors.push(`measurements[${i}].normal is required for plane measurements.`);
+        });
+        if (state.modelTransform !== null) {
+            const t = state.modelTransform;
+            if (!t || !isVector(t.position) || !isVector(t.quaternion, ['x', 'y', 'z', 'w']) || !isVector(t.scale)) errors.push('"modelTransform" must be null or hold position, quaternion and scale.');
+        }
+        if (!['default', 'wireframe', 'xray'].includes(state.viewMode)) errors.push('"viewMode" must be "default", "wireframe" or "xray".');
+        if (!state.grid || typeof state.grid.visible !== 'boolean') errors.push('"grid.visible" must be a boolean.');
+        if (state.camera !== null && (!state.camera || !isVector(state.camera.position) || !isVector(state.camera.target))) errors.push('"camera" must be null or hold position and target vectors.');
+        else if (state.camera && state.camera.fov != null && !(isNumber(state.camera.fov) && state.camera.fov > 0 && state.camera.fov < 180)) errors.push('"camera.fov" must be null or a number between 0 and 180 (exclusive).');
+        if (!Array.isArray(state.sectionPlanes)) errors.push('"sectionPlanes" must be an array.');
+        else state.sectionPlanes.forEach((p, i) => {
+            if (!p || !isVector(p.normal) || !isNumber(p.constant)) errors.push(`sectionPlanes[${i}] must hold a normal vector and a numeric constant.`);
+            else if (p.normal.x === 0 && p.normal.y === 0 && p.normal.z === 0) errors.push(`sectionPlanes[${i}].normal must be a non-zero vector.`);
+        });
+        return errors;
+    }
+
+    _serializeAnnotation(annotation) {
+        const { x, y, z } = annotation.anchor.position;
+        return {
+            id: annotation.id, position: { x, y, z }, text: annotation.text,
+            author: annotation.author, createdAt: annotation.createdAt, status: annotation.status,
+            replies: annotation.replies.map(reply => ({ ...reply })),
+            attachTo: annotation.attachTo,
+            mesh: annotation.mesh,
+            animation: annotation.animation ? { ...annotation.animation } : null,
+        };
+    }
+    setViewMode(mode) { const previousMode = this.viewMode; this.viewMode = mode; if (this.model) this.model.traverse(child => { if (child.isMesh) { switch(mode) { case 'wireframe': child.material = this.wireframeMaterial; break; case 'xray': child.material = this.xrayMaterial; break; default: child.material = this.originalMaterials.get(child.uuid) || child.material; break; } } }); this.toolbar.querySelectorAll('[data-view-mode]').forEach(btn => btn.classList.toggle('active', btn.dataset.viewMode === mode)); this.requestRender(); if (previousMode !== mode) this._recordCommand('Change view mode', () => this.setViewMode(previousMode), () => this.setViewMode(mode)); }
+    _setupPostProcessing() { const pixelRatio = this.renderer.getPixelRatio(); const renderTarget = new this.THREE.WebGLRenderTarget(this.viewerContainer.clientWidth * pixelRatio, this.viewerContainer.clientHeight * pixelRatio, { type: this.THREE.HalfFloatType, stencilBuffer: true }); this.composer = new this.EffectComposer(this.renderer, renderTarget); const renderPass = new this.RenderPass(this.scene, this.camera); this.composer.addPass(renderPass); this.outlinePass = new this.OutlinePass(new this.THREE.Vector2(this.viewerContainer.clientWidth, this.viewerContainer.clientHeight), this.scene, this.camera); this.outlinePass.edgeStrength = 5; this.outlinePass.edgeGlow = 0.5; this.outlinePass.edgeThickness = 1; this.outlinePass.visibleEdgeColor.set('#ffffff'); this.outlinePass.hiddenEdgeColor.set('#22aaff'); this.composer.addPass(this.outlinePass); const outputPass = new this.OutputPass(); this.composer.addPass(outputPass); }
+    _createLayout() { this.rootContainer.innerHTML = ''; const wrapper = document.createElement('div'); wrapper.className = 'vikcraft-wrapper'; this.viewerContainer = document.createElement('div'); this.viewerContainer.className = 'vikcraft-viewer'; this.sidebarContainer = document.createElement('div'); this.sidebarContainer.className = 'vikcraft-sidebar'; this.sidebarContainer.innerHTML = `<div class="vikcraft-sidebar-tabs"><button class="vikcraft-tab-button active" data-tab="annotations">Annotations</button><button class="vikcraft-tab-button" data-tab="measurements">Measurements</button><button class="vikcraft-tab-button" data-tab="explorer">Explorer</button></div><div class="vikcraft-tab-content active" data-tab-content="annotations"><div class="vikcraft-annotation-filters"><select data-filter="status"><option value="all">All statuses</option><option value="open">Open</option><option value="resolved">Resolved</option></select><select data-filter="author"><option value="all">All authors</option></select></div><div class="vikcraft-comment-list"></div></div><div class="vikcraft-tab-content" data-tab-content="measurements"><div class="vikcraft-measure-list"></div></div><div class="vikcraft-tab-content" data-tab-content="explorer"><div class="vikcraft-explorer-toolbar"><input type="search" class="vikcraft-explorer-search" placeholder="Search parts..."><button class="vikcraft-action-button" data-explorer-action="isolate">Isolate</button><button class="vikcraft-action-button" data-explorer-action="show-all">Show All</button></div><ul class="vikcraft-model-tree"></ul><div class="vikcraft-properties"></div></div>`; wrapper.appendChild(this.viewerContainer); wrapper.appendChild(this.sidebarContainer); this.rootContainer.appendChild(wrapper); this.commentListContainer = this.sidebarContainer.querySelector('.vikcraft-comment-list'); this.measureListContainer = this.sidebarContainer.querySelector('.vikcraft-measure-list'); this.sidebarContainer.querySelectorAll('[data-filter]').forEach(select => select.addEventListener('change', () => this.setAnnotationFilter({ [select.dataset.filter]: select.value }))); this.modelTreeContainer = this.sidebarContainer.querySelector('.vikcraft-model-tree'); this.propertiesContainer = this.sidebarContainer.querySelector('.vikcraft-properties'); this.sidebarContainer.querySelector('.vikcraft-explorer-search').addEventListener('input', (e) => this._filterModelExplorer(e.target.value)); this.sidebarContainer.querySelector('[data-explorer-action="isolate"]').addEventListener('click', () => this.isolate()); this.sidebarContainer.querySelector('[data-explorer-action="show-all"]').addEventListener('click', () => this.showAll()); this.sidebarContainer.querySelectorAll('.vikcraft-tab-button').forEach(button => { button.addEventListener('click', () => { const tabName = button.dataset.tab; this.sidebarContainer.querySelectorAll('.vikcraft-tab-button').forEach(btn => btn.classList.remove('active')); this.sidebarContainer.querySelectorAll('.vikcraft-tab-content').forEach(content => content.classList.remove('active')); button.classList.add('active'); this.sidebarContainer.querySelector(`[data-tab-content="${tabName}"]`).classList.add('active'); }); }); }
+    _createToolbar() { this.toolbar = document.createElement('div'); this.toolbar.className = 'vikcraft-toolbar'; const modes = { navigate: 'Navigate', transform: 'Transform', annotate: 'Annotate', measure: 'Measure', section: 'Section' }; Object.entries(modes).forEach(([key, value]) => { const button = document.createElement('button'); button.className = 'vikcraft-button'; if (key === this.currentMode) button.classList.add('active'); button.textContent = value; button.dataset.mode = key; button.addEventListener('click', () => this._setMode(key)); this.toolbar.appendChild(button); }); this.transformModeContainer = document.createElement('div'); this.transformModeContainer.className = 'vikcraft-sub-toolbar'; this.transformModeContainer.style.display = 'none'; const transformModes = { translate: 'Move', rotate: 'Rotate', scale: 'Scale' }; Object.entries(transformModes).forEach(([key, value]) => { const button = document.createElement('button'); button.className = 'vikcraft-button-small'; button.textContent = value; button.dataset.transformMode = key; button.addEventListener('click', () => { this.transformControls.setMode(key); }); this.transformModeContainer.appendChild(button); }); this.toolbar.appendChild(this.transformModeContainer); this.measureTypeContainer = document.createElement('div'); this.measureTypeContainer.className = 'vikcraft-sub-toolbar'; this.measureTypeContainer.style.display = 'none'; Object.entries(VikCraft3DAnnotator.MEASURE_TYPES).forEach(([key, value]) => { const button = document.createElement('button'); button.className = 'vikcraft-button-small'; if (key === this.measureType) button.classList.add('active'); button.textContent = value; button.dataset.measureType = key; button.addEventListener('click', () => this.setMeasureType(key)); this.measureTypeContainer.appendChild(button); }); this.toolbar.appendChild(this.measureTypeContainer); this.sectionToolContainer = document.createElement('div'); this.sectionToolContainer.className = 'vikcraft-sub-toolbar'; this.sectionToolContainer.style.display = 'none'; const sectionActions = { x: ['X', () => this.addSectionPlane({ axis: 'x' })], y: ['Y', () => this.addSectionPlane({ axis: 'y' })], z: ['Z', () => this.addSectionPlane({ axis: 'z' })], face: ['From Face', (button) => { this.sectionPickArmed = !this.sectionPickArmed; button.classList.toggle('active', this.sectionPickArmed); }], flip: ['Flip', () => this._flipSectionPlane(this.selectedSectionId)], remove: ['Remove', () => this.removeSectionPlane(this.selectedSectionId)], clear: ['Clear', () => this.clearSectionPlanes()] }; Object.entries(sectionActions).forEach(([key, [label, action]]) => { const button = document.createElement('button'); button.className = 'vikcraft-button-small'; button.textContent = label; button.dataset.sectionAction = key; button.addEventListener('click', () => { if (this.model) action(button); }); this.sectionToolContainer.appendChild(button); }); this.toolbar.appendChild(this.sectionToolContainer); const separator1 = document.createElement('div'); separator1.style.cssText = 'border-left: 1px solid #555; margin: 0 5px;'; this.toolbar.appendChild(separator1); const viewModes = { default: 'Default', wireframe: 'Wireframe', xray: 'X-Ray'}; Object.entries(viewModes).forEach(([key, value]) => { const button = document.createElement('button'); button.className = 'vikcraft-button'; button.textContent = value; button.dataset.viewMode = key; if (key === this.viewMode) button.classList.add('active'); button.addEventListener('click', () => this.setViewMode(key)); this.toolbar.appendChild(button); }); const separator2 = document.createElement('div'); separator2.style.cssText = 'border-left: 1px solid #555; margin: 0 5px;'; this.toolbar.appendChild(separator2); const historyControls = { undo: ['Undo', () => this.undo()], redo: ['Redo', () => this.redo()] }; Object.entries(historyControls).forEach(([key, [label, action]]) => { const button = document.createElement('button'); button.className = 'vikcraft-button'; button.textContent = label; button.title = key === 'undo' ? 'Undo (Ctrl+Z)' : 'Redo (Ctrl+Shift+Z)'; button.dataset.control = key; button.disabled = true; button.addEventListener('click', () => action()); this.toolbar.appendChild(button); }); const separator3 = document.createElement('div'); separator3.style.cssText = 'border-left: 1px solid #555; margin: 0 5px;'; this.toolbar.appendChild(separator3); const gridButton = document.createElement('button'); gridButton.className = 'vikcraft-button'; gridButton.textContent = 'Grid'; gridButton.dataset.control = 'grid'; if (this.gridHelper.visible) gridButton.classList.add('active'); gridButton.addEventListener('click', () => this.toggleGridVisibility()); this.toolbar.appendChild(gridButton); this.clearMeasuresButton = document.createElement('button'); this.clearMeasuresButton.className = 'vikcraft-button'; this.clearMeasuresButton.textContent = 'Clear Measures'; this.clearMeasuresButton.style.display = 'none'; this.clearMeasuresButton.addEventListener('click', () => this.clearAllMeasurements()); this.toolbar.appendChild(this.clearMeasuresButton); this._createTimeline(); this.viewerContainer.appendChild(this.toolbar); }
+    /**
+     * Registers a loader for one or more file extensions. Any THREE.js-style loader with a
+     * `load(url, onLoad, onProgress, onError)` method works, e.g. OBJLoader, STLLoader, PLYLoader or FBXLoader.
+     * @param {string|string[]} extensions Extensions without the dot, e.g. 'obj' or ['stl', 'ply'].
+     * @param {object} loader An instantiated loader.
+     */
+    registerLoader(extensions, loader) {
+        if (!loader || typeof loader.load !== 'function') throw new Error('A loader must have a load(url, onLoad, onProgress, onError) method.');
+        [].concat(extensions).forEach(extension => this.loaders.set(extension.replace(/^\./, '').toLowerCase(), loader));
+    }
+
+    /**
+     * Loads a model from a URL or a local File, replacing (and disposing) the current model together
+     * with its annotations, measurements, section planes and undo history.
+     * @param {string|File} source
+     * @param {{extension?: string}} [options] Overrides the file extension, e.g. for blob URLs.
+     * @returns {Promise<THREE.Object3D>} Resolves with the loaded model. Failures are also reported through onError.
+     * If a newer loadModel() call or destroy() supersedes the load, the promise rejects with an Error named
+     * 'AbortError' instead, without calling onError.
+     */
+    loadModel(source, options = {}) {
+        const isFile = typeof File !== 'undefined' && source instanceof File;
+        const name = isFile ? source.name : String(source);
+        const extension = (options.extension || name.split(/[?#]/)[0].split('.').pop() || '').replace(/^\./, '').toLowerCase();
+        const loader = this.loaders.get(extension);
+        const loadId = ++this.loadCounter;
+        return new Promise((resolve, reject) => {
+            // Returns true (and rejects quietly) once this load has been superseded by another or by destroy().
+            const aborted = () => {
+                if (loadId === this.loadCounter && !this.destroyed) return false;
+                const error = new Error(`Loading "${name}" was aborted.`);
+                error.name = 'AbortError';
+                reject(error);
+                return true;
+            };
+            const fail = (error) => {
+                if (aborted()) return;
+                if (!(error instanceof Error)) error = new Error(error && error.message ? error.message : `Failed to load "${name}".`);
+                this._setLoadingStatus(`Failed to load model: ${error.message}`, true);
+                if (this.onError) this.onError(error); else console.error(error);
+                reject(error);
+            };
+            if (!loader) { fail(new Error(`No loader registered for ".${extension}" files.`)); return; }
+
+            const url = isFile ? URL.createObjectURL(source) : source;
+            const release = () => { if (isFile) URL.revokeObjectURL(url); };
+            this._setLoadingStatus('Loading model...');
+            loader.load(url, (result) => {
+                release();
+                if (aborted()) return;
+                try {
+                    const object = this._toModelObject(result);
+                    const animations = (result && result.animations) || object.animations || [];
+                    this._unloadModel();
+                    this.modelName = name.split(/[?#]/)[0].split('/').pop();
+                    this._onModelReady(object, animations);
+                    this._setLoadingStatus(null);
+                    if (this.onModelLoaded) this.onModelLoaded();
+                    resolve(object);
+                } catch (error) {
+                    fail(error);
+                }
+            }, (event) => {
+                if (loadId !== this.loadCounter || this.destroyed) return;
+                const percent = event.lengthComputable && event.total ? Math.round((event.loaded / event.total) * 100) : null;
+                this._setLoadingStatus(percent === null ? 'Loading model...' : `Loading model... ${percent}%`);
+                if (this.onProgress) this.onProgress({ loaded: event.loaded, total: event.lengthComputable ? event.total : null, percent });
+            }, (error) => { release(); fail(error); });
+        });
+    }
+
+    _toModelObject(result) {
+        if (result && result.scene && result.scene.isObject3D) return result.scene;
+        if (result && result.isObject3D) return result;
+        if (result && result.isBufferGeometry) {
+            if (!result.attributes.normal) result.computeVertexNormals();
+            return new this.THREE.Mesh(result, new this.THREE.MeshStandardMaterial({ color: 0xcccccc, vertexColors: !!result.attributes.color }));
+        }
+        throw new Error('Loader returned neither a scene, an Object3D nor a BufferGeometry.');
+    }
+
+    _onModelReady(object, animations = []) {
+        this.model = object;
+        this._storeOriginalMaterials();
+        const explorerData = this._buildExplorerData(this.model);
+        this._refreshSkinnedBounds(); // Otherwise skinned meshes measure from unset bone matrices.
+        const box = new this.THREE.Box3().setFromObject(this.model);
+        const size = box.getSize(new this.THREE.Vector3()).length();
+        const center = box.getCenter(new this.THREE.Vector3());
+        this.model.position.sub(center);
+        this.scene.add(this.model);
+        this.transformControls.attach(this.model);
+        this._applyClipping(this.model);
+        this.camera.position.copy(center);
+        this.camera.position.x += size;
+        this.camera.position.y += size / 2;
+        this.camera.position.z += size;
+        this.camera.lookAt(center);
+        this.controls.target.copy(center);
+        this.modelTreeContainer.innerHTML = '';
+        this.explorerItems.clear();
+        this._renderModelExplorer(explorerData, this.modelTreeContainer);
+        this._renderProperties();
+        if (this.viewMode !== 'default') this._runWithoutHistory(() => this.setViewMode(this.viewMode));
+        this._setupAnimations(animations);
+        this.requestRender();
+    }
+
+    _unloadModel() {
+        if (!this.model) return;
+        this._cancelMeasurement();
+        this._closeEditor();
+        this.selectObject(null);
+        this.clearSectionPlanes();
+        this._clearAnnotationsAndMeasurements();
+        if (this.mixer) { this.mixer.stopAllAction(); this.mixer.uncacheRoot(this.model); }
+        this.mixer = null; this.currentAction = null; this.animationClips = []; this.animationPlaying = false;
+        this.timelineContainer.style.display = 'none';
+        this.transformControls.detach();
+        this.scene.remove(this.model);
+        const materials = new Set(this.originalMaterials.values());
+        this.model.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material && !this.originalMaterials.has(child.uuid)) materials.add(child.material);
+        });
+        materials.forEach(entry => (Array.isArray(entry) ? entry : [entry]).forEach(material => {
+            if (material === this.wireframeMaterial || material === this.xrayMaterial) return;
+            Object.values(material).forEach(value => { if (value && value.isTexture) value.dispose(); });
+            material.dispose();
+        }));
+        this.originalMaterials.clear();
+        this.explorerItems.clear();
+        this.modelTreeContainer.innerHTML = '';
+        this.model = null;
+        this.occlusion = null;
+        this.clearHistory();
+        this.requestRender();
+    }
+
+    _clearAnnotationsAndMeasurements() {
+        this.annotations.forEach(annotation => {
+            annotation.anchor.removeFromParent();
+            annotation.element.remove();
+        });
+        this.annotations = [];
+        this.measurements.forEach(measurement => this._removeMeasurement(measurement));
+        this.measurements = [];
+        this._renderSidebar();
+        this._renderMeasurementList();
+    }
+
+    _setLoadingStatus(message, isError = false) {
+        if (!this.loadingElement) {
+            this.loadingElement = document.createElement('div');
+            this.loadingElement.className = 'vikcraft-loading';
+            this.viewerContainer.appendChild(this.loadingElement);
+        }
+        clearTimeout(this.loadingErrorTimeout);
+        this.loadingElement.textContent = message || '';
+        this.loadingElement.style.display = message ? 'block' : 'none';
+        this.loadingElement.classList.toggle('error', isError);
+        if (isError) this.loadingErrorTimeout = setTimeout(() => this._setLoadingStatus(null), 5000);
+    }
+
+    _setupDropZone() {
+        const hasFiles = (event) => event.dataTransfer && Array.from(event.dataTransfer.types || []).includes('Files');
+        this._listen(this.viewerContainer, 'dragover', (event) => {
+            if (!hasFiles(event)) return;
+            event.preventDefault();
+            this.viewerContainer.classList.add('vikcraft-drop-active');
+        });
+        this._listen(this.viewerContainer, 'dragleave', (event) => {
+            if (!this.viewerContainer.contains(event.relatedTarget)) this.viewerContainer.classList.remove('vikcraft-drop-active');
+        });
+        this._listen(this.viewerContainer, 'drop', (event) => {
+            if (!hasFiles(event)) return;
+            event.preventDefault();
+            this.viewerContainer.classList.remove('vikcraft-drop-active');
+            const file = event.dataTransfer.files[0];
+            if (file) this.loadModel(file).catch(() => {}); // errors are reported through onError
+        });
+    }
+
+    _listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.eventListeners.push([target, type, handler]);
+    }
+
+    /**
+     * Stops rendering and releases the WebGL context, event listeners, model resources and DOM.
+     * The instance cannot be used afterwards.
+     */
+    destroy() {
+        if (this.destroyed) return;
+        this._unloadModel();
+        this.destroyed = true;
+        this.animationPlaying = false;
+        cancelAnimationFrame(this.animationFrameId);
+        clearTimeout(this.dblClickTimeout);
+        clearTimeout(this.loadingErrorTimeout);
+        this.eventListeners.forEach(([target, type, handler]) => target.removeEventListener(type, handler));
+        this.eventListeners = [];
+        this.transformControls.detach();
+        this.transformControls.dispose();
+        this.controls.dispose();
+        this.wireframeMaterial.dispose();
+        this.xrayMaterial.dispose();
+        this.depthMaterial.dispose();
+        this.annotationMarkerGeometry.dispose();
+        this.annotationMarkerMaterial.dispose();
+        if (this.occlusionTarget) this.occlusionTarget.dispose();
+        this.gridHelper.geometry.dispose();
+        this.gridHelper.material.dispose();
+        this.outlinePass.dispose();
+        this.composer.dispose();
+        this.renderer.dispose();
+        this.renderer.forceContextLoss();
+        this.rootContainer.innerHTML = '';
+        if (this.addedTabIndex) this.rootContainer.removeAttribute('tabindex');
+    }
+    /** @returns {Array<{name: string, duration: number}>} The animation clips of the loaded model. */
+    getAnimationClips() {
+        return this.animationClips.map(clip => ({ name: clip.name, duration: clip.duration }));
+    }
+
+    /**
+     * Selects the clip driven by the timeline. The playing state and speed are kept.
+     * @param {string} name
+     */
+    setAnimationClip(name) {
+        const clip = this.animationClips.find(c => c.name === name);
+        if (!clip) throw new Error(`Unknown animation clip "${name}".`);
+        if (this.currentAction && this.currentAction.getClip() === clip) return;
+        if (this.currentAction) this.currentAction.stop();
+        this.currentAction = this.mixer.clipAction(clip);
+        this.currentAction.play();
+        this.mixer.update(0);
+        this._updateTimeline();
+        this.requestRender();
+    }
+
+    playAnimation() {
+        if (!this.currentAction || this.animationPlaying) return;
+        this.animationPlaying = true;
+        this.clock.getDelta(); // Don't jump by the time spent paused.
+        this._updateTimeline();
+    }
+
+    pauseAnimation() {
+        if (!this.animationPlaying) return;
+        this.animationPlaying = false;
+        this._updateTimeline();
+    }
+
+    /**
+     * Moves the current clip to a point in time.
+     * @param {number} seconds Clamped to the clip's duration.
+     */
+    setAnimationTime(seconds) {
+        if (!this.currentAction) return;
+        this.currentAction.time = Math.min(Math.max(seconds, 0), this.currentAction.getClip().duration);
+        this.mixer.update(0);
+        this._updateTimeline();
+        this.requestRender();
+    }
+
+    getAnimationTime() {
+        return this.currentAction ? this.currentAction.time : 0;
+    }
+
+    /** @param {number} speed Playback rate, 1 being real time. */
+    setAnimationSpeed(speed) {
+        this.animationSpeed = speed;
+        if (this.mixer) this.mixer.timeScale = speed;
+        this._updateTimeline();
+    }
+
+    _createTimeline() {
+        this.timelineContainer = document.createElement('div');
+        this.timelineContainer.className = 'vikcraft-sub-toolbar vikcraft-timeline';
+        this.timelineContainer.style.display = 'none';
+        const speeds = [0.25, 0.5, 1, 1.5, 2];
+        this.timelineContainer.innerHTML = `<select class="vikcraft-timeline-select" data-timeline="clip" title="Animation clip"></select><button class="vikcraft-button-small" data-timeline="play">Play</button><input type="range" class="vikcraft-timeline-scrub" data-timeline="scrub" min="0" max="0" step="0.01" value="0" title="Scrub"><span class="vikcraft-timeline-time" data-timeline="time"></span><select class="vikcraft-timeline-select" data-timeline="speed" title="Playback speed">${speeds.map(speed => `<option value="${speed}">${speed}×</option>`).join('')}</select>`;
+        this.timelineControls = {};
+        this.timelineContainer.querySelectorAll('[data-timeline]').forEach(control => { this.timelineControls[control.dataset.timeline] = control; });
+        const { clip, play, scrub, speed } = this.timelineControls;
+        clip.addEventListener('change', () => this.setAnimationClip(clip.value));
+        play.addEventListener('click', () => (this.animationPlaying ? this.pauseAnimation() : this.playAnimation()));
+        scrub.addEventListener('input', () => this.setAnimationTime(Number(scrub.value)));
+        speed.addEventListener('change', () => this.setAnimationSpeed(Number(speed.value)));
+        this.toolbar.appendChild(this.timelineContainer);
+        this._updateTimeline();
+    }
+
+    _updateTimeline() {
+        const { clip, play, scrub, time, speed } = this.timelineControls;
+        const duration = this.currentAction ? this.currentAction.getClip().duration : 0, current = this.getAnimationTime();
+        if (this.currentAction) clip.value = this.currentAction.getClip().name;
+        play.textContent = this.animationPlaying ? 'Pause' : 'Play';
+        play.classList.toggle('active', this.animationPlaying);
+        scrub.max = duration;
+        scrub.value = current;
+        time.textContent = `${current.toFixed(2)} / ${duration.toFixed(2)} s`;
+        speed.value = String(this.animationSpeed);
+    }
+
+    _setupAnimations(clips) {
+        this.animationClips = clips;
+        this.mixer = clips.length > 0 ? new this.THREE.AnimationMixer(this.model) : null;
+        this.timelineControls.clip.innerHTML = '';
+        clips.forEach(clip => {
+            const option = document.createElement('option');
+            option.value = clip.name;
+            option.textContent = clip.name;
+            this.timelineControls.clip.appendChild(option);
+        });
+        this.timelineContainer.style.display = this.mixer ? 'flex' : 'none';
+        if (!this.mixer) return;
+        this.mixer.timeScale = this.animationSpeed;
+        this.setAnimationClip(clips[0].name);
+    }
+
+    /** Pauses the timeline on an annotation's recorded clip and time. Returns false if the clip is gone. */
+    _showAnimationFrame({ clip, time }) {
+        if (!this.animationClips.some(c => c.name === clip)) return false;
+        this.setAnimationClip(clip);
+        this.pauseAnimation();
+        this.setAnimationTime(time);
+        return true;
+    }
+
     _storeOriginalMaterials() { this.originalMaterials.clear(); this.model.traverse(child => { if (child.isMesh) { this.originalMaterials.set(child.uuid, child.material); } }); }
-    _animate() { requestAnimationFrame(() => this._animate()); this.controls.update(); this._updateLiveMeasurement(); this._updateLabels(); this.composer.render(); }
-    _setMode(mode) { if (mode !== 'measure') this._clearLiveMeasurement(); this.currentMode = mode; this.measureStartPoint = null; this.toolbar.querySelectorAll('.vikcraft-button[data-mode]').forEach(btn => btn.classList.toggle('active', btn.dataset.mode === mode)); const isTransform = mode === 'transform'; this.controls.enabled = !isTransform; this.transformControls.enabled = isTransform; this.transformControls.visible = isTransform; this.transformModeContainer.style.display = isTransform ? 'flex' : 'none'; if (isTransform) { this._updateTransformButtonStates(); } if (this.clearMeasuresButton) this.clearMeasuresButton.style.display = mode === 'measure' ? 'inline-block' : 'none'; }
-    _onMouseMove(event) { const rect = this.renderer.domElement.getBoundingClientRect(); this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1; this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1; }
-    _createAnnotationFromData(data, isNew = false) { const { id, position, text } = data; const anchor = new this.THREE.Object3D(); this.model.add(anchor); const localPosition = isNew ? this.model.worldToLocal(position.clone()) : position; anchor.position.copy(localPosition); anchor.add(new this.THREE.Mesh(new this.THREE.SphereGeometry(0.05, 16, 16), new this.THREE.MeshBasicMaterial({ color: 0xff4444 }))); const label = document.createElement('div'); label.className = 'vikcraft-label'; label.textContent = text; this.viewerContainer.appendChild(label); this.annotations.push({ id, anchor, element: label, text }); if (isNew && this.onAnnotationAdded) this.onAnnotationAdded({ id, position: localPosition, text }); }
-    _editAnnotation(id) { const annotation = this.annotations.find(a => a.id === id); if (!annotation) return; const newText = prompt("Edit annotation:", annotation.text); if (newText && newText !== annotation.text) { annotation.text = newText; annotation.element.textContent = newText; this._renderSidebar(); if (this.onAnnotationUpdated) this.onAnnotationUpdated({ id, text: newText }); } }
-    _deleteAnnotation(id) { const index = this.annotations.findIndex(a => a.id === id); if (index === -1) return; if (this.onAnnotationDeleted) this.onAnnotationDeleted(id); const annotation = this.annotations[index]; this.model.remove(annotation.anchor); this.viewerContainer.removeChild(annotation.element); this.annotations.splice(index, 1); this._renderSidebar(); }
-    _renderSidebar() { this.commentListContainer.innerHTML = ""; if (this.annotations.length === 0) { this.commentListContainer.innerHTML = '<p style="color: #6b7280; text-align: center;">No annotations yet.</p>'; } else { this.annotations.forEach(anno => this.commentListContainer.appendChild(this._createAnnotationCard(anno))); } }
-    _createAnnotationCard(annotation) { const card = document.createElement('div'); card.className = 'vikcraft-card'; card.dataset.id = annotation.id; card.innerHTML = `<div class="vikcraft-card-text">${annotation.text}</div><div class="vikcraft-card-actions"><button class="vikcraft-action-button edit">Edit</button><button class="vikcraft-action-button delete">Delete</button></div>`; card.addEventListener('click', () => this._focusOnAnnotation(annotation.id)); card.querySelector('.edit').addEventListener('click', e => { e.stopPropagation(); this._editAnnotation(annotation.id); }); card.querySelector('.delete').addEventListener('click', e => { e.stopPropagation(); this._deleteAnnotation(annotation.id); }); return card; }
-    _focusOnAnnotation(id) { const annotation = this.annotations.find(a => a.id === id); if (!annotation) return; this.sidebarContainer.querySelectorAll('.vikcraft-card').forEach(el => el.classList.toggle('active', el.dataset.id === id)); const targetPosition = new this.THREE.Vector3(); annotation.anchor.getWorldPosition(targetPosition); const offset = this.camera.position.clone().sub(this.controls.target).normalize().multiplyScalar(5); this.controls.target.copy(targetPosition); this.camera.position.copy(targetPosition.clone().add(offset)); }
-    _handleMeasureClick(point) { if (!this.measureStartPoint) { this.measureStartPoint = point; const lineGeom = new this.THREE.BufferGeometry().setFromPoints([point, point]); this.liveMeasureVisuals.line = new this.THREE.Line(lineGeom, new this.THREE.LineBasicMaterial({ color: 0x00aaff, transparent: true, opacity: 0.7 })); this.scene.add(this.liveMeasureVisuals.line); this.liveMeasureVisuals.label = document.createElement('div'); this.liveMeasureVisuals.label.className = 'vikcraft-label vikcraft-measure-label'; this.viewerContainer.appendChild(this.liveMeasureVisuals.label); } else { const endPoint = point; const distance = this.measureStartPoint.distanceTo(endPoint); this._createMeasurement(this.measureStartPoint, endPoint, distance); this._clearLiveMeasurement(); this.measureStartPoint = null; } }
-    _createMeasurement(start, end, distance) { const realDistance = distance * this.sceneUnitScale; const text = this._formatDistance(realDistance); const line = new this.THREE.Line(new this.THREE.BufferGeometry().setFromPoints([start, end]), new this.THREE.LineBasicMaterial({ color: 0x00aaff, linewidth: 2 })); this.scene.add(line); const markerMat = new this.THREE.MeshBasicMaterial({ color: 0x00aaff }); const startMarker = new this.THREE.Mesh(new this.THREE.SphereGeometry(0.03, 16, 16), markerMat); startMarker.position.copy(start); this.scene.add(startMarker); const endMarker = new this.THREE.Mesh(new this.THREE.SphereGeometry(0.03, 16, 16), markerMat); endMarker.position.copy(end); this.scene.add(endMarker); const label = document.createElement('div'); label.className = 'vikcraft-label vikcraft-measure-label'; label.textContent = text; this.viewerContainer.appendChild(label); const midPoint = new this.THREE.Vector3().addVectors(start, end).multiplyScalar(0.5); this.measurements.push({ line, startMarker, endMarker, element: label, position: midPoint }); }
-    _clearLiveMeasurement() { if (this.liveMeasureVisuals.line) { this.scene.remove(this.liveMeasureVisuals.line); this.liveMeasureVisuals.line.geometry.dispose(); this.liveMeasureVisuals.line.material.dispose(); } if (this.liveMeasureVisuals.label) this.viewerContainer.removeChild(this.liveMeasureVisuals.label); this.liveMeasureVisuals = { line: null, label: null }; }
+    /**
+     * Schedules a redraw on the next animation frame. The viewer only renders when something changed;
+     * call this after modifying the scene, camera or materials directly.
+     */
+    requestRender() {
+        this.needsRender = true;
+    }
+
+    _animate() {
+        if (this.destroyed) return;
+        this.animationFrameId = requestAnimationFrame(() => this._animate());
+        this.controls.update(); // Requests a render through its 'change' event while the camera moves or damps.
+        const delta = this.clock.getDelta();
+        if (this.animationPlaying) {
+            this.mixer.update(delta);
+            this._updateTimeline();
+            this.requestRender();
+        }
+        if (!this.needsRender) return;
+        this.needsRender = false;
+        this._updateSectionPlanes();
+        this._updateLiveMeasurement();
+        this._updateOcclusionBuffer();
+        this._updateLabels();
+        this.composer.render();
+    }
+    _setMode(mode) {
+        this._cancelMeasurement();
+        this._closeEditor();
+        this.currentMode = mode;
+        this.toolbar.querySelectorAll('.vikcraft-button[data-mode]').forEach(btn => btn.classList.toggle('active', btn.dataset.mode === mode));
+        const isTransform = mode === 'transform';
+        const isSection = mode === 'section';
+        if (isTransform && this.model) this.transformControls.attach(this.model);
+        if (isSection) {
+            const selected = this.sectionPlanes.find(section => section.id === this.selectedSectionId);
+            if (selected) this.transformControls.attach(selected.handle); else this.transformControls.detach();
+        }
+        const showGizmo = isTransform || (isSection && !!this.transformControls.object);
+        this.controls.enabled = !isTransform;
+        this.transformControls.enabled = showGizmo;
+        this.transformControls.visible = showGizmo;
+        this.transformModeContainer.style.display = showGizmo ? 'flex' : 'none';
+        if (showGizmo) { this._updateTransformButtonStates(); }
+        this.sectionPlanes.forEach(section => { section.handle.visible = isSection; });
+        this.sectionToolContainer.style.display = isSection ? 'flex' : 'none';
+        if (!isSection) { this.sectionPickArmed = false; this.sectionToolContainer.querySelector('[data-section-action="face"]').classList.remove('active'); }
+        this.measureTypeContainer.style.display = mode === 'measure' ? 'flex' : 'none';
+        if (this.clearMeasuresButton) this.clearMeasuresButton.style.display = mode === 'measure' ? 'inline-block' : 'none';
+        this.requestRender();
+    }
+    _onMouseMove(event) { const rect = this.renderer.domElement.getBoundingClientRect(); this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1; this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1; if (this.liveMeasureVisuals.line) this.requestRender(); }
+    _createAnnotationFromData(data, isNew = false) {
+        const { id, position, text } = data;
+        const anchor = new this.THREE.Object3D();
+        // Pins hang off the part they were placed on, so they follow it through transforms and animation.
+        const parent = (data.attachTo && this.model.getObjectByName(data.attachTo)) || this.model;
+        parent.add(anchor);
+        parent.updateWorldMatrix(true, false);
+        const localPosition = isNew ? parent.worldToLocal(position.clone()) : position;
+        anchor.position.copy(localPosition);
+        // Keep the pin the size it would have on the model root, whatever the part's own scale.
+        const scale = this.model.getWorldScale(new this.THREE.Vector3()).length() / (parent.getWorldScale(new this.THREE.Vector3()).length() || 1);
+        anchor.scale.setScalar(scale || 1);
+        anchor.add(new this.THREE.Mesh(this.annotationMarkerGeometry, this.annotationMarkerMaterial));
+        // Pins on skinned meshes hang off a bone, so the mesh they were placed on decides their visibility.
+        const meshNode = (data.mesh && this.model.getObjectByName(data.mesh)) || null;
+        const label = document.createElement('div');
+        label.className = 'vikcraft-label';
+        this.viewerContainer.appendChild(label);
+        const annotation = {
+            id, anchor, element: label, text,
+            author: data.author || 'Anonymous',
+            createdAt: data.createdAt || null,
+            status: data.status === 'resolved' ? 'resolved' : 'open',
+            replies: (data.replies || []).map(reply => ({ id: reply.id, author: reply.author || 'Anonymous', text: reply.text, createdAt: reply.createdAt || null })),
+            attachTo: parent === this.model ? null : parent.name,
+            mesh: meshNode ? meshNode.name : null, meshNode,
+            animation: data.animation ? { clip: data.animation.clip, time: data.animation.time } : null,
+        };
+        this._updateAnnotationLabel(annotation);
+        this._updateAnnotationVisibility(annotation);
+        this.annotations.push(annotation);
+        this.requestRender();
+        if (isNew) {
+            const saved = this._serializeAnnotation(annotation);
+            if (this.onAnnotationAdded) this.onAnnotationAdded(saved);
+            this._recordCommand('Add annotation', () => this._deleteAnnotation(id), () => this._restoreAnnotation(saved, this.annotations.length));
+        }
+        return annotation;
+    }
+
+    /**
+     * Finds the node a new pin should follow: the bone that drives the picked face of a skinned mesh,
+     * otherwise the picked mesh. Pins are stored by node name, so unnamed or ambiguously named nodes
+     * fall back to their nearest ancestor that the name finds again, and finally to the model root.
+     */
+    _getAttachmentTarget(intersect) {
+        const target = intersect.object;
+        if (target.isSkinnedMesh && target.skeleton) return this._getNamedNode(this._getDominantBone(target, intersect.face) || target);
+        return this._getNamedNode(target);
+    }
+
+    _getNamedNode(object) {
+        let target = object;
+        while (target && target !== this.model && !(target.name && this.model.getObjectByName(target.name) === target)) target = target.parent;
+        return target || this.model;
+    }
+
+    /** Shows a pin only while the mesh it was placed on is visible, even when it hangs off that mesh's bones. */
+    _updateAnnotationVisibility(annotation) {
+        annotation.anchor.visible = !annotation.meshNode || this._isObjectVisible(annotation.meshNode);
+    }
+
+    _getDominantBone(mesh, face) {
+        const { skinIndex, skinWeight } = mesh.geometry.attributes;
+        if (!face || !skinIndex || !skinWeight) return null;
+        const components = ['getX', 'getY', 'getZ', 'getW'].slice(0, skinIndex.itemSize);
+        const weights = new Map();
+        [face.a, face.b, face.c].forEach(vertex => components.forEach(component => {
+            const bone = skinIndex[component](vertex), weight = skinWeight[component](vertex);
+            if (weight > 0) weights.set(bone, (weights.get(bone) || 0) + weight);
+        }));
+        let dominant = null, maxWeight = 0;
+        weights.forEach((weight, bone) => { if (weight > maxWeight) { dominant = bone; maxWeight = weight; } });
+        return dominant === null ? null : mesh.skeleton.bones[dominant] || null;
+    }
+
+    _refreshSkinnedBounds() {
+        // Skinned meshes cache their bounds from the first raycast; recompute them for the current pose.
+        this.model.updateMatrixWorld(true);
+        this.model.traverse(child => {
+            if (!child.isSkinnedMesh) return;
+            child.skeleton.update();
+            child.computeBoundingBox();
+            child.computeBoundingSphere();
+        });
+    }
+
+    _restoreAnnotation(data, index) {
+        const annotation = this._createAnnotationFromData(data);
+        this.annotations.splice(this.annotations.indexOf(annotation), 1);
+        this.annotations.splice(index, 0, annotation);
+        this._renderSidebar();
+        if (this.onAnnotationAdded) this.onAnnotationAdded(this._serializeAnnotation(annotation));
+    }
+
+    _updateAnnotationLabel(annotation) {
+        annotation.element.textContent = annotation.text;
+        annotation.element.classList.toggle('vikcraft-label-resolved', annotation.status === 'resolved');
+    }
+
+    _updateAnnotation(id, changes, label = 'Edit annotation') {
+        const annotation = this.annotations.find(a => a.id === id);
+        if (!annotation) return;
+        const before = this._serializeAnnotation(annotation);
+        if (changes.text !== undefined) annotation.text = changes.text;
+        if (changes.status !== undefined) annotation.status = changes.status;
+        if (changes.replies !== undefined) annotation.replies = changes.replies.map(reply => ({ ...reply }));
+        this._updateAnnotationLabel(annotation);
+        this._renderSidebar();
+        const after = this._serializeAnnotation(annotation);
+        if (this.onAnnotationUpdated) this.onAnnotationUpdated(after);
+        this._recordCommand(label, () => this._updateAnnotation(id, before), () => this._updateAnnotation(id, after));
+    }
+
+    _addReply(id, text) {
+        const annotation = this.annotations.find(a => a.id === id);
+        if (!annotation) return;
+        const reply = { id: `reply-${Date.now()}`, author: this.currentUser, text, createdAt: new Date().toISOString() };
+        this._updateAnnotation(id, { replies: [...annotation.replies, reply] }, 'Add reply');
+    }
+
+    _editAnnotation(id) { const annotation = this.annotations.find(a => a.id === id); if (!annotation) return; this._openEditor('edit', { annotation }); }
+    _deleteAnnotation(id) { const index = this.annotations.findIndex(a => a.id === id); if (index === -1) return; if (this.editor && this.editor.annotationId === id) this._closeEditor(); if (this.onAnnotationDeleted) this.onAnnotationDeleted(id); const annotation = this.annotations[index]; const saved = this._serializeAnnotation(annotation); annotation.anchor.removeFromParent(); this.viewerContainer.removeChild(annotation.element); this.annotations.splice(index, 1); this._renderSidebar(); this.requestRender(); this._recordCommand('Delete annotation', () => this._restoreAnnotation(saved, index), () => this._deleteAnnotation(id)); }
+
+    /**
+     * Opens the inline editor next to a pin.
+     * @param {string} mode 'create' (needs options.position, in world space, and optionally the picking options.intersect), 'edit' or 'reply' (need options.annotation).
+     */
+    _openEditor(mode, options) {
+        this._closeEditor();
+        if (mode === 'create') this.pauseAnimation();
+        const { annotation } = options;
+        const element = document.createElement('div');
+        element.className = 'vikcraft-editor';
+        element.innerHTML = `<div class="vikcraft-editor-title"></div><div class="vikcraft-editor-thread"></div><textarea class="vikcraft-editor-input" rows="4"></textarea><div class="vikcraft-editor-actions"><button class="vikcraft-action-button cancel">Cancel</button><button class="vikcraft-action-button save">Save</button></div>`;
+        element.querySelector('.vikcraft-editor-title').textContent = { create: 'New annotation', edit: 'Edit annotation', reply: 'Reply' }[mode];
+        const input = element.querySelector('.vikcraft-editor-input');
+        const thread = element.querySelector('.vikcraft-editor-thread');
+        if (mode === 'reply') {
+            [annotation, ...annotation.replies].forEach(entry => thread.appendChild(this._createThreadEntry(entry)));
+            input.placeholder = 'Write a reply...';
+        } else {
+            thread.remove();
+            input.placeholder = 'Enter annotation text...';
+            if (mode === 'edit') input.value = annotation.text;
+        }
+
+        const worldPosition = annotation ? annotation.anchor.getWorldPosition(new this.THREE.Vector3()) : options.position.clone();
+        let pendingMarker = null, animationOption = null;
+        const attachTo = mode === 'create' && options.intersect ? this._getAttachmentTarget(options.intersect) : null;
+        const meshNode = mode === 'create' && options.intersect ? this._getNamedNode(options.intersect.object) : null;
+        const frame = this.currentAction ? { clip: this.currentAction.getClip().name, time: this.getAnimationTime() } : null;
+        if (mode === 'create' && frame) {
+            animationOption = document.createElement('label');
+            animationOption.className = 'vikcraft-editor-option';
+            animationOption.innerHTML = '<input type="checkbox" checked> <span></span>';
+            animationOption.querySelector('span').textContent = `Link to "${frame.clip}" at ${frame.time.toFixed(2)} s`;
+            element.insertBefore(animationOption, element.querySelector('.vikcraft-editor-actions'));
+        }
+        if (mode === 'create') {
+            pendingMarker = new this.THREE.Mesh(new this.THREE.SphereGeometry(0.05, 16, 16), new this.THREE.MeshBasicMaterial({ color: 0xff4444, transparent: true, opacity: 0.6 }));
+            pendingMarker.position.copy(worldPosition);
+            this.scene.add(pendingMarker);
+            this.requestRender();
+        }
+
+        const save = () => {
+            const text = input.value.trim();
+            if (!text) { input.focus(); return; }
+            this._closeEditor();
+            if (mode === 'create') {
+                const id = `anno-${Date.now()}`;
+                const animation = animationOption && animationOption.querySelector('input').checked ? frame : null;
+                this._createAnnotationFromData({ id, position: worldPosition, text, author: this.currentUser, createdAt: new Date().toISOString(), attachTo: attachTo && attachTo !== this.model ? attachTo.name : null, mesh: meshNode && meshNode !== this.model ? meshNode.name : null, animation }, true);
+                this._renderSidebar();
+                this._focusOnAnnotation(id);
+            } else if (mode === 'edit') {
+                if (text !== annotation.text) this._updateAnnotation(annotation.id, { text });
+            } else {
+                this._addReply(annotation.id, text);
+            }
+        };
+        element.querySelector('.save').addEventListener('click', save);
+        element.querySelector('.cancel').addEventListener('click', () => this._closeEditor());
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) { e.preventDefault(); save(); }
+            else if (e.key === 'Escape') this._closeEditor();
+        });
+
+        this.viewerContainer.appendChild(element);
+        this.editor = { element, mode, annotationId: annotation ? annotation.id : null, worldPosition, pendingMarker };
+        this._updateEditorPosition();
+        input.focus();
+    }
+
+    _closeEditor() {
+        if (!this.editor) return;
+        if (this.editor.pendingMarker) {
+            this.scene.remove(this.editor.pendingMarker);
+            this.editor.pendingMarker.geometry.dispose();
+            this.editor.pendingMarker.material.dispose();
+        }
+        this.editor.element.remove();
+        this.editor = null;
+        this.requestRender();
+    }
+
+    _updateEditorPosition() {
+        if (!this.editor) return;
+        const screenPosition = this.editor.worldPosition.clone().project(this.camera);
+        const x = (screenPosition.x * 0.5 + 0.5) * this.viewerContainer.clientWidth;
+        const y = (screenPosition.y * -0.5 + 0.5) * this.viewerContainer.clientHeight;
+        this.editor.element.style.transform = `translate(${x + 16}px, ${y}px) translate(0, -50%)`;
+    }
+
+    _createThreadEntry(entry) {
+        const element = document.createElement('div');
+        element.className = 'vikcraft-thread-entry';
+        element.innerHTML = `<div class="vikcraft-card-meta"><span class="vikcraft-card-author"></span><span class="vikcraft-card-date"></span></div><div class="vikcraft-thread-text"></div>`;
+        element.querySelector('.vikcraft-card-author').textContent = entry.author;
+        element.querySelector('.vikcraft-card-date').textContent = entry.createdAt ? new Date(entry.createdAt).toLocaleString() : '';
+        element.querySelector('.vikcraft-thread-text').textContent = entry.text;
+        return element;
+    }
+
+    /**
+     * Filters the annotation list in the sidebar.
+     * @param {{status?: string, author?: string}} filter status is 'all', 'open' or 'resolved'; author is 'all' or an author name.
+     */
+    setAnnotationFilter(filter) {
+        this.annotationFilter = { ...this.annotationFilter, ...filter };
+        this._renderSidebar();
+    }
+
+    _renderSidebar() {
+        const authors = [...new Set(this.annotations.map(a => a.author))].sort();
+        if (this.annotationFilter.author !== 'all' && !authors.includes(this.annotationFilter.author)) this.annotationFilter.author = 'all';
+        const authorSelect = this.sidebarContainer.querySelector('[data-filter="author"]');
+        authorSelect.innerHTML = '<option value="all">All authors</option>';
+        authors.forEach(author => {
+            const option = document.createElement('option');
+            option.value = author;
+            option.textContent = author;
+            authorSelect.appendChild(option);
+        });
+        authorSelect.value = this.annotationFilter.author;
+        this.sidebarContainer.querySelector('[data-filter="status"]').value = this.annotationFilter.status;
+
+        this.commentListContainer.innerHTML = "";
+        const { status, author } = this.annotationFilter;
+        const visible = this.annotations.filter(a => (status === 'all' || a.status === status) && (author === 'all' || a.author === author));
+        if (this.annotations.length === 0) {
+            this.commentListContainer.innerHTML = '<p style="color: #6b7280; text-align: center;">No annotations yet.</p>';
+        } else if (visible.length === 0) {
+            this.commentListContainer.innerHTML = '<p style="color: #6b7280; text-align: center;">No annotations match the filter.</p>';
+        } else {
+            visible.forEach(anno => this.commentListContainer.appendChild(this._createAnnotationCard(anno)));
+        }
+    }
+
+    _createAnnotationCard(annotation) {
+        const card = document.createElement('div');
+        card.className = 'vikcraft-card';
+        card.dataset.id = annotation.id;
+        card.innerHTML = `<div class="vikcraft-card-meta"><span class="vikcraft-card-author"></span><span class="vikcraft-card-date"></span><span class="vikcraft-status-badge"></span></div><div class="vikcraft-card-text"></div><div class="vikcraft-card-animation"></div><div class="vikcraft-card-replies"></div><div class="vikcraft-card-actions"><button class="vikcraft-action-button reply">Reply</button><button class="vikcraft-action-button edit">Edit</button><button class="vikcraft-action-button status"></button><button class="vikcraft-action-button delete">Delete</button></div>`;
+        card.querySelector('.vikcraft-card-author').textContent = annotation.author;
+        card.querySelector('.vikcraft-card-date').textContent = annotation.createdAt ? new Date(annotation.createdAt).toLocaleString() : '';
+        const badge = card.querySelector('.vikcraft-status-badge');
+        badge.textContent = annotation.status === 'resolved' ? 'Resolved' : 'Open';
+        badge.classList.add(annotation.status);
+        card.querySelector('.vikcraft-card-text').textContent = annotation.text;
+        card.querySelector('.vikcraft-card-animation').textContent = annotation.animation ? `${annotation.animation.clip} @ ${annotation.animation.time.toFixed(2)} s` : '';
+        const replies = card.querySelector('.vikcraft-card-replies');
+        annotation.replies.forEach(reply => replies.appendChild(this._createThreadEntry(reply)));
+        const statusButton = card.querySelector('.status');
+        statusButton.textContent = annotation.status === 'resolved' ? 'Reopen' : 'Resolve';
+        card.addEventListener('click', () => this._focusOnAnnotation(annotation.id));
+        card.querySelector('.reply').addEventListener('click', e => { e.stopPropagation(); this._openEditor('reply', { annotation }); });
+        card.querySelector('.edit').addEventListener('click', e => { e.stopPropagation(); this._editAnnotation(annotation.id); });
+        statusButton.addEventListener('click', e => { e.stopPropagation(); this._updateAnnotation(annotation.id, { status: annotation.status === 'resolved' ? 'open' : 'resolved' }, 'Change status'); });
+        card.querySelector('.delete').addEventListener('click', e => { e.stopPropagation(); this._deleteAnnotation(annotation.id); });
+        return card;
+    }
+    _focusOnAnnotation(id) { const annotation = this.annotations.find(a => a.id === id); if (!annotation) return; this.sidebarContainer.querySelectorAll('.vikcraft-card').forEach(el => el.classList.toggle('active', el.dataset.id === id)); if (annotation.animation) this._showAnimationFrame(annotation.animation); const targetPosition = new this.THREE.Vector3(); annotation.anchor.getWorldPosition(targetPosition); this._focusCameraOn(targetPosition); }
+    _focusCameraOn(targetPosition) { const offset = this.camera.position.clone().sub(this.controls.target).normalize().multiplyScalar(5); this.controls.target.copy(targetPosition); this.camera.position.copy(targetPosition.clone().add(offset)); }
+    _handleMeasureClick(intersect) {
+        const point = intersect.point.clone();
+        if (this.measurePoints.length === 0) {
+            this._startLiveMeasurement();
+            if (this.measureType === 'plane') this.measurePlaneNormal = this._getWorldNormal(intersect);
+        }
+        this.measurePoints.push(point);
+        this.requestRender();
+        const autoFinishCount = { distance: 2, angle: 3, plane: 2 }[this.measureType];
+        if (autoFinishCount && this.measurePoints.length >= autoFinishCount) this._finishMeasurement();
+    }
+
+    _startLiveMeasurement() {
+        this._clearLiveMeasurement();
+        this.liveMeasureVisuals.line = new this.THREE.Line(new this.THREE.BufferGeometry(), new this.THREE.LineBasicMaterial({ color: 0x00aaff, transparent: true, opacity: 0.7 }));
+        this.scene.add(this.liveMeasureVisuals.line);
+        this.liveMeasureVisuals.label = document.createElement('div');
+        this.liveMeasureVisuals.label.className = 'vikcraft-label vikcraft-measure-label';
+        this.viewerContainer.appendChild(this.liveMeasureVisuals.label);
+    }
+
+    _finishMeasurement() {
+        const points = this._dedupePoints(this.measurePoints);
+        if (points.length >= VikCraft3DAnnotator.MEASURE_MIN_POINTS[this.measureType]) {
+            const data = { id: `measure-${Date.now()}`, type: this.measureType, points, normal: this.measurePlaneNormal };
+            this._createMeasurementFromData(data, true);
+            this._renderMeasurementList();
+        }
+        this._cancelMeasurement();
+    }
+
+    _cancelMeasurement() {
+        this._clearLiveMeasurement();
+        this.measurePoints = [];
+        this.measurePlaneNormal = null;
+    }
+
+    _dedupePoints(points) {
+        // A double-click to finish a polyline/area also fires two clicks on the same spot.
+        return points.filter((point, i) => i === 0 || point.distanceTo(points[i - 1]) > 1e-4);
+    }
+
+    _getWorldNormal(intersect) {
+        if (!intersect.face) return new this.THREE.Vector3(0, 1, 0);
+        const normalMatrix = new this.THREE.Matrix3().getNormalMatrix(intersect.object.matrixWorld);
+        return intersect.face.normal.clone().applyMatrix3(normalMatrix).normalize();
+    }
+
+    /**
+     * Computes the value of a measurement from its world-space points.
+     * @returns {{value: number, text: string, labelPosition: THREE.Vector3, linePoints: THREE.Vector3[]}}
+     */
+    _computeMeasurement(type, points, normal) {
+        const THREE = this.THREE;
+        const last = points[points.length - 1];
+        if (type === 'angle' && points.length === 3) {
+            const degrees = THREE.MathUtils.radToDeg(points[0].clone().sub(points[1]).angleTo(points[2].clone().sub(points[1])));
+            return { value: degrees, text: `${degrees.toFixed(1)}°`, labelPosition: points[1].clone(), linePoints: points };
+        }
+        if (type === 'area' && points.length >= 3) {
+            const vectorArea = new THREE.Vector3();
+            for (let i = 1; i < points.length - 1; i++) {
+                const a = points[i].clone().sub(points[0]), b = points[i + 1].clone().sub(points[0]);
+                vectorArea.add(a.cross(b));
+            }
+            const area = (vectorArea.length() / 2) * this.sceneUnitScale * this.sceneUnitScale;
+            const centroid = points.reduce((sum, p) => sum.add(p), new THREE.Vector3()).divideScalar(points.length);
+            return { value: area, text: this._formatArea(area), labelPosition: centroid, linePoints: [...points, points[0]] };
+        }
+        if (type === 'plane' && normal && points.length === 2) {
+            const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(normal, points[0]);
+            const foot = plane.projectPoint(points[1], new THREE.Vector3());
+            const distance = Math.abs(plane.distanceToPoint(points[1])) * this.sceneUnitScale;
+            return { value: distance, text: this._formatDistance(distance), labelPosition: points[1].clone().add(foot).multiplyScalar(0.5), linePoints: [points[1], foot] };
+        }
+        // Distance, polyline and any incomplete preview fall back to the chained length.
+        let length = 0;
+        for (let i = 1; i < points.length; i++) length += points[i].distanceTo(points[i - 1]);
+        length *= this.sceneUnitScale;
+        const previous = points[Math.max(points.length - 2, 0)];
+        return { value: length, text: this._formatDistance(length), labelPosition: previous.clone().add(last).multiplyScalar(0.5), linePoints: points };
+    }
+
+    _createMeasurementFromData(data, isNew = false) {
+        const { id, type = 'distance' } = data;
+        const toVector = p => new this.THREE.Vector3(p.x, p.y, p.z);
+        const points = data.points.map(toVector);
+        const normal = data.normal ? toVector(data.normal).normalize() : null;
+        const result = this._computeMeasurement(type, points, normal);
+
+        const object = new this.THREE.Group();
+        object.add(new this.THREE.Line(new this.THREE.BufferGeometry().setFromPoints(result.linePoints), new this.THREE.LineBasicMaterial({ color: 0x00aaff, linewidth: 2 })));
+        const markerGeometry = new this.THREE.SphereGeometry(0.03, 16, 16);
+        const markerMaterial = new this.THREE.MeshBasicMaterial({ color: 0x00aaff });
+        const markerPoints = type === 'plane' ? [...points, result.linePoints[1]] : points;
+        markerPoints.forEach(point => {
+            const marker = new this.THREE.Mesh(markerGeometry, markerMaterial);
+            marker.position.copy(point);
+            object.add(marker);
+        });
+        this._applyClipping(object);
+        this.scene.add(object);
+
+        const label = document.createElement('div');
+        label.className = 'vikcraft-label vikcraft-measure-label';
+        label.textContent = result.text;
+        this.viewerContainer.appendChild(label);
+
+        const measurement = { id, type, points, normal, value: result.value, text: result.text, object, element: label, position: result.labelPosition };
+        this.measurements.push(measurement);
+        this.requestRender();
+        if (isNew) {
+            const saved = this._serializeMeasurement(measurement);
+            if (this.onMeasurementAdded) this.onMeasurementAdded(saved);
+            this._recordCommand('Add measurement', () => this.deleteMeasurement(id), () => this._restoreMeasurement(saved, this.measurements.length));
+        }
+        return measurement;
+    }
+
+    _restoreMeasurement(data, index) {
+        const measurement = this._createMeasurementFromData(data);
+        this.measurements.splice(this.measurements.indexOf(measurement), 1);
+        this.measurements.splice(index, 0, measurement);
+        this._renderMeasurementList();
+        if (this.onMeasurementAdded) this.onMeasurementAdded(this._serializeMeasurement(measurement));
+    }
+
+    _serializeMeasurement(measurement) {
+        const toPlain = v => ({ x: v.x, y: v.y, z: v.z });
+        return { id: measurement.id, type: measurement.type, points: measurement.points.map(toPlain), normal: measurement.normal ? toPlain(measurement.normal) : null, value: measurement.value, text: measurement.text };
+    }
+
+    _removeMeasurement(measurement) {
+        this.scene.remove(measurement.object);
+        measurement.object.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+        this.viewerContainer.removeChild(measurement.element);
+        this.requestRender();
+    }
+
+    _renderMeasurementList() {
+        this.measureListContainer.innerHTML = '';
+        if (this.measurements.length === 0) {
+            this.measureListContainer.innerHTML = '<p style="color: #6b7280; text-align: center;">No measurements yet.</p>';
+            return;
+        }
+        this.measurements.forEach(measurement => {
+            const card = document.createElement('div');
+            card.className = 'vikcraft-card';
+            card.dataset.id = measurement.id;
+            card.innerHTML = `<div class="vikcraft-card-text"><span class="vikcraft-card-type"></span> <span class="vikcraft-card-value"></span></div><div class="vikcraft-card-actions"><button class="vikcraft-action-button delete">Delete</button></div>`;
+            card.querySelector('.vikcraft-card-type').textContent = VikCraft3DAnnotator.MEASURE_TYPES[measurement.type];
+            card.querySelector('.vikcraft-card-value').textContent = measurement.text;
+            card.addEventListener('click', () => this._focusCameraOn(measurement.position));
+            card.querySelector('.delete').addEventListener('click', e => { e.stopPropagation(); this.deleteMeasurement(measurement.id); });
+            this.measureListContainer.appendChild(card);
+        });
+    }
+    _clearLiveMeasurement() { if (this.liveMeasureVisuals.line) { this.scene.remove(this.liveMeasureVisuals.line); this.liveMeasureVisuals.line.geometry.dispose(); this.liveMeasureVisuals.line.material.dispose(); } if (this.liveMeasureVisuals.label) this.viewerContainer.removeChild(this.liveMeasureVisuals.label); this.liveMeasureVisuals = { line: null, label: null }; this.requestRender(); }
     _formatDistance(distanceInMeters) { if (this.displayUnits === 'imperial') { const i = distanceInMeters * 39.3701, t = Math.floor(i / 12); return `${t}' ${(i % 12).toFixed(1)}"` } return `${distanceInMeters.toFixed(2)} m` }
-    _updateLiveMeasurement() { if (this.currentMode !== 'measure' || !this.measureStartPoint || (!this.model && !this.gridHelper)) return; const raycaster = new this.THREE.Raycaster(); raycaster.setFromCamera(this.mouse, this.camera); const targets = [this.model, this.gridHelper].filter(Boolean); const intersects = raycaster.intersectObjects(targets, true); if (intersects.length > 0) { const currentPoint = intersects[0].point; const positions = this.liveMeasureVisuals.line.geometry.attributes.position; positions.setXYZ(1, currentPoint.x, currentPoint.y, currentPoint.z); positions.needsUpdate = true; const distance = this.measureStartPoint.distanceTo(currentPoint); this.liveMeasureVisuals.label.textContent = this._formatDistance(distance * this.sceneUnitScale); const midPoint = new this.THREE.Vector3().addVectors(this.measureStartPoint, currentPoint).multiplyScalar(0.5); this._updateSingleLabelPosition(this.liveMeasureVisuals.label, midPoint); } }
-    _updateLabels() { if (!this.model && !this.gridHelper) return; [...this.annotations, ...this.measurements].forEach(item => { const worldPosition = new this.THREE.Vector3(); if (item.anchor) item.anchor.getWorldPosition(worldPosition); else worldPosition.copy(item.position); this._updateSingleLabelPosition(item.element, worldPosition); }); }
-    _updateSingleLabelPosition(element, worldPosition) { const cameraPosition = this.camera.position; const raycaster = new this.THREE.Raycaster(); const direction = worldPosition.clone().sub(cameraPosition).normalize(); raycaster.set(cameraPosition, direction); const targets = [this.model].filter(Boolean); const intersects = raycaster.intersectObjects(targets, true); const itemDistance = cameraPosition.distanceTo(worldPosition); if (intersects.length > 0 && intersects[0].distance < itemDistance - 0.1) { element.style.display = 'none'; } else { element.style.display = 'block'; const screenPosition = worldPosition.clone().project(this.camera); const x = (screenPosition.x * 0.5 + 0.5) * this.viewerContainer.clientWidth; const y = (screenPosition.y * -0.5 + 0.5) * this.viewerContainer.clientHeight; element.style.transform = `translate(-50%, -120%) translate(${x}px, ${y}px)`; } }
-    _onWindowResize() { if (!this.viewerContainer) return; this.camera.aspect = this.viewerContainer.clientWidth / this.viewerContainer.clientHeight; this.camera.updateProjectionMatrix(); this.renderer.setSize(this.viewerContainer.clientWidth, this.viewerContainer.clientHeight); this.composer.setSize(this.viewerContainer.clientWidth, this.viewerContainer.clientHeight); }
-    _buildExplorerData(object) { if (!object.name && !object.isMesh) return null; const node = { name: object.name || `Mesh (${object.uuid.substring(0, 6)})`, uuid: object.uuid, children: [] }; if (object.children.length > 0) object.children.forEach(child => { const childNode = this._buildExplorerData(child); if (childNode) node.children.push(childNode); }); return node; }
-    _renderModelExplorer(node, parentElement) { if (!node) return; const li = document.createElement('li'); li.className = 'vikcraft-model-tree-item'; li.textContent = node.name; li.dataset.uuid = node.uuid; li.addEventListener('click', (e) => { e.stopPropagation(); this._highlightObjectByUUID(node.uuid); }); parentElement.appendChild(li); if (node.children.length > 0) { const ul = document.createElement('ul'); parentElement.appendChild(ul); node.children.forEach(childNode => this._renderModelExplorer(childNode, ul)); } }
-    _highlightObjectByUUID(uuid) { const objectToHighlight = this.model.getObjectByProperty('uuid', uuid); if (objectToHighlight) { this.outlinePass.selectedObjects = [objectToHighlight]; this.modelTreeContainer.querySelectorAll('.vikcraft-model-tree-item').forEach(item => item.classList.toggle('selected', item.dataset.uuid === uuid)); } }
+    _formatArea(areaInSquareMeters) { if (this.displayUnits === 'imperial') return `${(areaInSquareMeters * 10.7639).toFixed(2)} ft²`; return `${areaInSquareMeters.toFixed(2)} m²`; }
+    _updateLiveMeasurement() {
+        if (this.currentMode !== 'measure' || this.measurePoints.length === 0 || !this.liveMeasureVisuals.line) return;
+        const raycaster = new this.THREE.Raycaster();
+        raycaster.setFromCamera(this.mouse, this.camera);
+        const targets = [this.model, this.gridHelper].filter(Boolean);
+        const intersects = raycaster.intersectObjects(targets, true).filter(hit => this._isHitVisible(hit));
+        if (intersects.length === 0) return;
+        const previewPoints = [...this.measurePoints, intersects[0].point.clone()];
+        const result = this._computeMeasurement(this.measureType, previewPoints, this.measurePlaneNormal);
+        const line = this.liveMeasureVisuals.line;
+        const positions = line.geometry.attributes.position;
+        if (positions && positions.count === result.linePoints.length) {
+            result.linePoints.forEach((p, i) => positions.setXYZ(i, p.x, p.y, p.z));
+            positions.needsUpdate = true;
+            line.geometry.computeBoundingSphere();
+        } else {
+            line.geometry.dispose();
+            line.geometry = new this.THREE.BufferGeometry().setFromPoints(result.linePoints);
+        }
+        this.liveMeasureVisuals.label.textContent = result.text;
+        this._updateSingleLabelPosition(this.liveMeasureVisuals.label, result.labelPosition);
+    }
+    _updateLabels() {
+        const { singles, clusters } = this._layoutLabels(this.viewerContainer.clientWidth, this.viewerContainer.clientHeight);
+        const placed = new Set(singles.map(({ item }) => item));
+        singles.forEach(({ item, point }) => this._placeLabel(item.element, point));
+        this.annotations.forEach(item => { if (!placed.has(item)) this._placeLabel(item.element, null); });
+        this.measurements.forEach(item => { if (!placed.has(item)) this._placeLabel(item.element, null); });
+        clusters.forEach((cluster, i) => {
+            if (!this.clusterElements[i]) {
+                const element = document.createElement('div');
+                element.className = 'vikcraft-label vikcraft-label-cluster';
+                element.addEventListener('click', () => { if (element.cluster) this._focusCameraOn(element.cluster.worldPosition); });
+                this.viewerContainer.appendChild(element);
+                this.clusterElements.push(element);
+            }
+            const element = this.clusterElements[i];
+            element.cluster = cluster;
+            const count = String(cluster.items.length);
+            if (element.textContent !== count) element.textContent = count;
+            const title = cluster.items.slice(0, 10).map(item => item.text).join('\n') + (cluster.items.length > 10 ? '\n...' : '');
+            if (element.title !== title) element.title = title;
+            this._placeLabel(element, cluster.point);
+        });
+        this.clusterElements.slice(clusters.length).forEach(element => { element.cluster = null; this._placeLabel(element, null); });
+        this._updateEditorPosition();
+    }
+
+    /**
+     * Projects every annotation and measurement label into a width x height view and groups labels
+     * that land within labelClusterDistance pixels of each other. Each label joins the nearest group
+     * seed in range; a screen-space grid keeps that search to the neighbouring cells.
+     * @returns {{singles: Array<{item: object, point: {x: number, y: number}}>, clusters: Array<{items: object[], point: {x: number, y: number}, worldPosition: THREE.Vector3}>}}
+     */
+    _layoutLabels(width, height, scale = 1) {
+        const distance = this.labelClusterDistance * scale;
+        const cells = new Map(), groups = [];
+        [...this.annotations, ...this.measurements].forEach(item => {
+            // Pins go with the part they were placed on when it is hidden from the model tree.
+            if (item.anchor && !this._isObjectVisible(item.anchor)) return;
+            const worldPosition = this._getItemWorldPosition(item);
+            const point = this._projectLabel(worldPosition, width, height);
+            if (!point) return;
+            const entry = { item, point, worldPosition };
+            if (!(distance > 0)) { groups.push([entry]); return; }
+            const column = Math.floor(point.x / distance), row = Math.floor(point.y / distance);
+            // Seeds are more than `distance` apart, so a seed in range always sits in one of the 3x3 cells around the label.
+            let nearest = null, nearestDistance = distance;
+            for (let y = row - 1; y <= row + 1; y++) {
+                for (let x = column - 1; x <= column + 1; x++) {
+                    (cells.get(`${x},${y}`) || []).forEach(group => {
+                        const seedDistance = Math.hypot(group[0].point.x - point.x, group[0].point.y - point.y);
+                        if (seedDistance <= nearestDistance) { nearest = group; nearestDistance = seedDistance; }
+                    });
+                }
+            }
+            if (nearest) { nearest.push(entry); return; }
+            const group = [entry], key = `${column},${row}`;
+            groups.push(group);
+            if (cells.has(key)) cells.get(key).push(group); else cells.set(key, [group]);
+        });
+        const singles = [], clusters = [];
+        groups.forEach(entries => {
+            if (entries.length === 1) { singles.push(entries[0]); return; }
+            const point = { x: 0, y: 0 }, worldPosition = new this.THREE.Vector3();
+            entries.forEach(entry => { point.x += entry.point.x / entries.length; point.y += entry.point.y / entries.length; worldPosition.add(entry.worldPosition); });
+            clusters.push({ items: entries.map(entry => entry.item), point, worldPosition: worldPosition.divideScalar(entries.length) });
+        });
+        return { singles, clusters };
+    }
+
+    _placeLabel(element, screenPosition) {
+        // Only touch the DOM when a label actually moves, shows or hides.
+        const transform = screenPosition ? `translate(-50%, -120%) translate(${screenPosition.x.toFixed(1)}px, ${screenPosition.y.toFixed(1)}px)` : null;
+        if (this.labelPlacements.get(element) === transform) return;
+        this.labelPlacements.set(element, transform);
+        if (!transform) {
+            element.style.display = 'none';
+        } else {
+            element.style.display = 'block';
+            element.style.transform = transform;
+        }
+    }
+    _getItemWorldPosition(item) { const worldPosition = new this.THREE.Vector3(); if (item.anchor) item.anchor.getWorldPosition(worldPosition); else worldPosition.copy(item.position); return worldPosition; }
+    _updateSingleLabelPosition(element, worldPosition) {
+        this._placeLabel(element, this._projectLabel(worldPosition, this.viewerContainer.clientWidth, this.viewerContainer.clientHeight));
+    }
+
+    /**
+     * Projects a label anchor to pixel coordinates in a width x height view.
+     * @returns {?{x: number, y: number}} null if the point is outside the view, cut away by a section plane or hidden behind the model.
+     */
+    _projectLabel(worldPosition, width, height) {
+        if (this._isClipped(worldPosition)) return null;
+        const screenPosition = worldPosition.clone().project(this.camera);
+        if (screenPosition.z > 1 || Math.abs(screenPosition.x) > 1 || Math.abs(screenPosition.y) > 1) return null;
+        if (this._isOccluded(screenPosition)) return null;
+        return { x: (screenPosition.x * 0.5 + 0.5) * width, y: (screenPosition.y * -0.5 + 0.5) * height };
+    }
+
+    /**
+     * Renders the model's depth into a small offscreen target and reads it back, so label occlusion
+     * costs a texel lookup per label instead of a raycast against the whole model.
+     */
+    _updateOcclusionBuffer() {
+        const labelCount = this.annotations.length + this.measurements.length + (this.liveMeasureVisuals.label ? 1 : 0);
+        if (!this.model || labelCount === 0) { this.occlusion = null; return; }
+        const size = this.renderer.getSize(new this.THREE.Vector2());
+        const width = Math.max(1, Math.round(size.x * this.occlusionScale)), height = Math.max(1, Math.round(size.y * this.occlusionScale));
+        if (!this.occlusionTarget) this.occlusionTarget = new this.THREE.WebGLRenderTarget(width, height);
+        else if (this.occlusionTarget.width !== width || this.occlusionTarget.height !== height) this.occlusionTarget.setSize(width, height);
+        if (!this.occlusionBuffer || this.occlusionBuffer.length !== width * height * 4) this.occlusionBuffer = new Uint8Array(width * height * 4);
+
+        // Only the model occludes labels; markers, helpers and section caps are left out as with the old raycast.
+        // Annotation pins live inside the model, so they are hidden separately.
+        const hidden = [...this.scene.children.filter(child => child !== this.model), ...this.annotations.map(annotation => annotation.anchor)].filter(object => object.visible);
+        const background = this.scene.background, renderTarget = this.renderer.getRenderTarget();
+        const clearColor = this.renderer.getClearColor(new this.THREE.Color()), clearAlpha = this.renderer.getClearAlpha();
+        hidden.forEach(object => { object.visible = false; });
+        this.scene.background = null;
+        this.scene.overrideMaterial = this.depthMaterial;
+        try {
+            this.renderer.setRenderTarget(this.occlusionTarget);
+            this.renderer.setClearColor(0xffffff, 1); // Unpacks to depth 1, the far plane.
+            this.renderer.render(this.scene, this.camera);
+            this.renderer.readRenderTargetPixels(this.occlusionTarget, 0, 0, width, height, this.occlusionBuffer);
+        } finally {
+            hidden.forEach(object => { object.visible = true; });
+            this.scene.background = background;
+            this.scene.overrideMaterial = null;
+            this.renderer.setRenderTarget(renderTarget);
+            this.renderer.setClearColor(clearColor, clearAlpha);
+        }
+        this.occlusion = { width, height, near: this.camera.near, far: this.camera.far };
+    }
+
+    _isOccluded(screenPosition) {
+        if (!this.occlusion) return false;
+        const { width, height, near, far } = this.occlusion;
+        const buffer = this.occlusionBuffer;
+        const toDistance = depth => (near * far) / (far - depth * (far - near));
+        const column = Math.floor((screenPosition.x * 0.5 + 0.5) * width), row = Math.floor((screenPosition.y * 0.5 + 0.5) * height);
+        // Take the farthest depth around the texel so low-resolution silhouettes don't swallow labels next to them.
+        let sceneDepth = 0;
+        for (let y = Math.max(0, row - 1); y <= Math.min(height - 1, row + 1); y++) {
+            for (let x = Math.max(0, column - 1); x <= Math.min(width - 1, column + 1); x++) {
+                const i = (y * width + x) * 4;
+                sceneDepth = Math.max(sceneDepth, buffer[i] / 4294967296 + buffer[i + 1] / 16777216 + buffer[i + 2] / 65536 + buffer[i + 3] / 256);
+            }
+        }
+        const sceneDistance = toDistance(sceneDepth), itemDistance = toDistance(screenPosition.z * 0.5 + 0.5);
+        return sceneDistance < itemDistance - Math.max(0.1, itemDistance * 0.01);
+    }
+    _onWindowResize() { if (!this.viewerContainer) return; this.camera.aspect = this.viewerContainer.clientWidth / this.viewerContainer.clientHeight; this.camera.updateProjectionMatrix(); this.renderer.setSize(this.viewerContainer.clientWidth, this.viewerContainer.clientHeight); this.composer.setSize(this.viewerContainer.clientWidth, this.viewerContainer.clientHeight); this.requestRender(); }
+    _buildExplorerData(object) {
+        const children = object.children.map(child => this._buildExplorerData(child)).filter(Boolean);
+        // Unnamed groups are kept when they contain meshes so CAD hierarchies stay reachable.
+        if (!object.name && !object.isMesh && children.length === 0) return null;
+        const fallbackName = `${object.isMesh ? 'Mesh' : object.type} (${object.uuid.substring(0, 6)})`;
+        return { name: object.name || fallbackName, uuid: object.uuid, object, children };
+    }
+
+    _renderModelExplorer(node, parentElement, depth = 0) {
+        if (!node) return;
+        const { object } = node;
+        const li = document.createElement('li');
+        const row = document.createElement('div');
+        row.className = 'vikcraft-model-tree-item';
+        row.dataset.uuid = node.uuid;
+        row.innerHTML = `<span class="vikcraft-tree-caret"></span><button class="vikcraft-tree-visibility"></button><span class="vikcraft-tree-name"></span>`;
+        row.querySelector('.vikcraft-tree-name').textContent = node.name;
+        li.appendChild(row);
+        parentElement.appendChild(li);
+        let childList = null;
+        if (node.children.length > 0) {
+            childList = document.createElement('ul');
+            li.appendChild(childList);
+            node.children.forEach(childNode => this._renderModelExplorer(childNode, childList, depth + 1));
+        }
+        const item = { node, object, li, row, childList };
+        this.explorerItems.set(node.uuid, item);
+        this._setExplorerItemExpanded(item, depth < 1);
+        this._updateExplorerVisibilityIcon(item);
+
+        row.addEventListener('click', (e) => { e.stopPropagation(); this.selectObject(node.uuid); });
+        row.querySelector('.vikcraft-tree-caret').addEventListener('click', (e) => { e.stopPropagation(); if (childList) this._setExplorerItemExpanded(item, childList.style.display === 'none'); });
+        row.querySelector('.vikcraft-tree-visibility').addEventListener('click', (e) => { e.stopPropagation(); this.setVisibility(node.uuid, !object.visible); });
+    }
+
+    _setExplorerItemExpanded(item, expanded) {
+        if (!item.childList) return;
+        item.childList.style.display = expanded ? '' : 'none';
+        item.row.querySelector('.vikcraft-tree-caret').textContent = expanded ? '▾' : '▸';
+    }
+
+    _updateExplorerVisibilityIcon(item) {
+        const button = item.row.querySelector('.vikcraft-tree-visibility');
+        button.textContent = item.object.visible ? '●' : '○';
+        button.title = item.object.visible ? 'Hide' : 'Show';
+        item.row.classList.toggle('hidden-object', !item.object.visible);
+    }
+
+    _filterModelExplorer(query) {
+        query = query.trim().toLowerCase();
+        const filterItem = (item) => {
+            const childMatches = item.node.children.map(child => filterItem(this.explorerItems.get(child.uuid))).some(Boolean);
+            const matches = !query || item.node.name.toLowerCase().includes(query) || childMatches;
+            item.li.style.display = matches ? '' : 'none';
+            if (query && childMatches) this._setExplorerItemExpanded(item, true);
+            return matches;
+        };
+        this.explorerItems.forEach(item => { if (item.li.parentElement === this.modelTreeContainer) filterItem(item); });
+    }
+
+    _revealInExplorer(uuid) {
+        const item = this.explorerItems.get(uuid);
+        if (!item) return;
+        let parent = item.object.parent;
+        while (parent && parent !== this.model.parent) {
+            const parentItem = this.explorerItems.get(parent.uuid);
+            if (parentItem) this._setExplorerItemExpanded(parentItem, true);
+            parent = parent.parent;
+        }
+        if (item.row.scrollIntoView) item.row.scrollIntoView({ block: 'nearest' });
+    }
+
+    _getExplorerObject(target) {
+        if (!target || !this.model) return null;
+        const uuid = typeof target === 'string' ? target : target.uuid;
+        const item = this.explorerItems.get(uuid);
+        return item ? item.object : null;
+    }
+
+    /**
+     * Selects a node of the model: outlines it, highlights and reveals it in the Explorer and
+     * shows its properties.
+     * @param {string|THREE.Object3D|null} target A node uuid or object, or null to clear the selection.
+     */
+    selectObject(target) {
+        const object = this._getExplorerObject(target);
+        if (object === this.selectedObject) return;
+        this.selectedObject = object;
+        this.outlinePass.selectedObjects = object ? [object] : [];
+        this.requestRender();
+        this.modelTreeContainer.querySelectorAll('.vikcraft-model-tree-item').forEach(item => item.classList.toggle('selected', !!object && item.dataset.uuid === object.uuid));
+        if (object) this._revealInExplorer(object.uuid);
+        this._renderProperties();
+        if (this.onSelectionChanged) this.onSelectionChanged(object ? { uuid: object.uuid, name: this.explorerItems.get(object.uuid).node.name, object } : null);
+    }
+
+    /**
+     * Shows or hides a node of the model and everything below it.
+     * @param {string|THREE.Object3D} target A node uuid or object.
+     * @param {boolean} visible
+     */
+    setVisibility(target, visible) {
+        const object = this._getExplorerObject(target);
+        if (!object) return;
+        object.visible = visible;
+        this._updateExplorerVisibilityIcon(this.explorerItems.get(object.uuid));
+        this.annotations.forEach(annotation => this._updateAnnotationVisibility(annotation));
+        this.requestRender();
+    }
+
+    /**
+     * Hides every node except the given one, its ancestors and its descendants.
+     * @param {string|THREE.Object3D} [target] Defaults to the current selection.
+     */
+    isolate(target = this.selectedObject) {
+        const object = this._getExplorerObject(target);
+        if (!object) return;
+        const keep = new Set();
+        object.traverse(child => keep.add(child));
+        object.traverseAncestors(ancestor => keep.add(ancestor));
+        // Pins on a kept skinned mesh hang off its bones, so those bones stay visible too.
+        object.traverse(child => {
+            if (!child.isSkinnedMesh || !child.skeleton) return;
+            child.skeleton.bones.forEach(bone => { keep.add(bone); bone.traverseAncestors(ancestor => keep.add(ancestor)); });
+        });
+        this.explorerItems.forEach(item => {
+            item.object.visible = keep.has(item.object);
+            this._updateExplorerVisibilityIcon(item);
+        });
+        this.annotations.forEach(annotation => this._updateAnnotationVisibility(annotation));
+        this.requestRender();
+    }
+
+    /** Makes every node of the model visible again. */
+    showAll() {
+        this.explorerItems.forEach(item => {
+            item.object.visible = true;
+            this._updateExplorerVisibilityIcon(item);
+        });
+        this.annotations.forEach(annotation => this._updateAnnotationVisibility(annotation));
+        this.requestRender();
+    }
+
+    _handleSelectionClick(raycaster) {
+        if (!this.model) return;
+        const hit = raycaster.intersectObject(this.model, true).find(h => this._isHitVisible(h));
+        let object = hit ? hit.object : null;
+        while (object && !this.explorerItems.has(object.uuid)) object = object.parent;
+        this.selectObject(object);
+    }
+
+    _renderProperties() {
+        const container = this.propertiesContainer;
+        container.innerHTML = '';
+        const object = this.selectedObject;
+        if (!object) {
+            container.innerHTML = '<p style="color: #6b7280; text-align: center;">Select a part to see its properties.</p>';
+            return;
+        }
+        let vertices = 0, triangles = 0;
+        const materialNames = new Set();
+        object.traverse(child => {
+            if (!child.isMesh || !this.originalMaterials.has(child.uuid)) return;
+            const position = child.geometry.attributes.position;
+            vertices += position ? position.count : 0;
+            triangles += Math.floor((child.geometry.index ? child.geometry.index.count : (position ? position.count : 0)) / 3);
+            const materials = this.originalMaterials.get(child.uuid);
+            (Array.isArray(materials) ? materials : [materials]).forEach(material => materialNames.add(material.name || `(unnamed ${material.type})`));
+        });
+        const box = new this.THREE.Box3().setFromObject(object);
+        const format = v => `${v.x.toFixed(3)}, ${v.y.toFixed(3)}, ${v.z.toFixed(3)}`;
+        const rows = [
+            ['Name', this.explorerItems.get(object.uuid).node.name],
+            ['Type', object.type],
+            ['Vertices', vertices.toLocaleString()],
+            ['Triangles', triangles.toLocaleString()],
+            ['Materials', materialNames.size ? [...materialNames].join(', ') : '-'],
+            ['Bounds min', box.isEmpty() ? '-' : format(box.min)],
+            ['Bounds max', box.isEmpty() ? '-' : format(box.max)],
+            ['Size', box.isEmpty() ? '-' : format(box.getSize(new this.THREE.Vector3()))],
+        ];
+        const table = document.createElement('table');
+        table.className = 'vikcraft-properties-table';
+        rows.forEach(([label, value]) => {
+            const tr = table.insertRow();
+            const th = document.createElement('th');
+            th.textContent = label;
+            tr.appendChild(th);
+            tr.insertCell().textContent = value;
+        });
+        container.appendChild(table);
+        if (Object.keys(object.userData).length > 0) {
+            const pre = document.createElement('pre');
+            pre.className = 'vikcraft-properties-userdata';
+            pre.textContent = JSON.stringify(object.userData, null, 2);
+            container.appendChild(pre);
+        }
+    }
+
+    _isObjectVisible(object) {
+        for (let current = object; current; current = current.parent) {
+            if (!current.visible) return false;
+        }
+        return true;
+    }
+
+    _isHitVisible(hit) {
+        return !this._isClipped(hit.point) && this._isObjectVisible(hit.object);
+    }
     _updateTransformButtonStates() { const currentTransformMode = this.transformControls.getMode(); this.transformModeContainer.querySelectorAll('[data-transform-mode]').forEach(btn => { btn.classList.toggle('active', btn.dataset.transformMode === currentTransformMode); }); }
 }
\ No newline at end of file